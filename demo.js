@@ -1,7 +1,7 @@
 // Mock LicenseCore++ Implementation for Demo
 class LicenseCoreDemo {
     constructor() {
-        this.secretKey = "demo-secret-key-2024";
+        this.secretKey = window.DEMO_CONFIG?.DEMO_KEYS?.demo || "demo-secret-key-2024";
         this.currentHwid = this.generateMockHwid();
         this.currentLicense = null;
     }
@@ -47,7 +47,12 @@ class LicenseCoreDemo {
     }
 
     formatDate(date) {
-        return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+        return LicenseCanonical.formatDate(date);
+    }
+
+    // Sign the canonical form of a license (signature fields are excluded)
+    async signLicenseData(licenseData) {
+        return await this.hmacSha256(LicenseCanonical.canonicalize(licenseData), this.secretKey);
     }
 
     async generateLicense(userId, features, expiryDays) {
@@ -66,11 +71,7 @@ class LicenseCoreDemo {
             version: 1
         };
 
-        // Create JSON without signature for signing
-        const dataToSign = JSON.stringify(licenseData);
-        const signature = await this.hmacSha256(dataToSign, this.secretKey);
-        
-        licenseData.hmac_signature = signature;
+        licenseData.hmac_signature = await this.signLicenseData(licenseData);
         
         this.currentLicense = licenseData;
         return JSON.stringify(licenseData, null, 2);
@@ -89,14 +90,9 @@ class LicenseCoreDemo {
             }
 
             // Verify signature
-            const signature = license.hmac_signature;
-            const dataWithoutSignature = { ...license };
-            delete dataWithoutSignature.hmac_signature;
+            const computedSignature = await this.signLicenseData(license);
             
-            const dataToVerify = JSON.stringify(dataWithoutSignature);
-            const computedSignature = await this.hmacSha256(dataToVerify, this.secretKey);
-            
-            if (signature !== computedSignature) {
+            if (license.hmac_signature !== computedSignature) {
                 return { valid: false, error: "Invalid HMAC signature" };
             }
 
@@ -273,10 +269,7 @@ function simulateExpiredLicense() {
             const license = JSON.parse(licenseText);
             license.expiry = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
             
-            const dataWithoutSignature = { ...license };
-            delete dataWithoutSignature.hmac_signature;
-            
-            licenseCore.hmacSha256(JSON.stringify(dataWithoutSignature), licenseCore.secretKey)
+            licenseCore.signLicenseData(license)
                 .then(signature => {
                     license.hmac_signature = signature;
                     document.getElementById('licenseOutput').textContent = JSON.stringify(license, null, 2);
@@ -0,0 +1,101 @@
+// LicenseCore++ Offline Activation
+// Two-step activation for machines that can't reach the vendor:
+//
+//   1. the client writes an activation request with its HWID and a fresh nonce
+//        { "type": "activation_request", "version": 1, "nonce": "9f1c...",
+//          "hardware_hash": "...", "product": "...", "user_id": "...",
+//          "features": ["basic"], "created_at": "..." }
+//   2. the vendor issues a license bound to that HWID, carrying the nonce in
+//      the signed `activation_nonce` field; the client accepts it only when it
+//      answers the request it is still waiting for.
+
+const LicenseActivation = (() => {
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+
+    const REQUEST_TYPE = 'activation_request';
+    const REQUEST_VERSION = 1;
+
+    function randomNonce() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Client side: a new request for this machine
+    function createRequest({ hardwareHash, product = null, userId = null, features = [] }) {
+        if (!hardwareHash) {
+            throw new Error('Activation request needs a hardware ID');
+        }
+        return {
+            type: REQUEST_TYPE,
+            version: REQUEST_VERSION,
+            nonce: randomNonce(),
+            hardware_hash: hardwareHash,
+            product,
+            user_id: userId,
+            features,
+            created_at: LicenseCanonical.formatDate(new Date())
+        };
+    }
+
+    // Request object from JSON text or an object; throws MalformedLicenseException
+    function parseRequest(input) {
+        let request;
+        try {
+            request = typeof input === 'string' ? JSON.parse(input) : input;
+        } catch (error) {
+            throw new LicenseErrors.JsonParsingException(`JSON parsing error: ${error.message}`);
+        }
+        if (!request || request.type !== REQUEST_TYPE) {
+            throw new LicenseErrors.MalformedLicenseException('Not an activation request');
+        }
+        for (const field of ['nonce', 'hardware_hash']) {
+            if (typeof request[field] !== 'string' || !request[field]) {
+                throw new LicenseErrors.MalformedLicenseException(`Missing required field: ${field}`, { field });
+            }
+        }
+        if (request.features != null && !Array.isArray(request.features)) {
+            throw new LicenseErrors.MalformedLicenseException('Features must be an array', { field: 'features' });
+        }
+        return request;
+    }
+
+    // ACTIVATION_MISMATCH failure when a license doesn't answer `request`, else null
+    function matchResponse(license, request) {
+        const checks = [
+            ['activation_nonce', request.nonce],
+            ['hardware_hash', request.hardware_hash]
+        ];
+        if (request.product) {
+            checks.push(['product', request.product]);
+        }
+        for (const [field, expected] of checks) {
+            if (license[field] !== expected) {
+                return failure(ERROR_CODES.ACTIVATION_MISMATCH,
+                    `Activation response does not match the pending request (${field})`, { field });
+            }
+        }
+        return null;
+    }
+
+    return {
+        REQUEST_TYPE,
+        REQUEST_VERSION,
+        createRequest,
+        parseRequest,
+        matchResponse
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseActivation;
+} else {
+    globalThis.LicenseActivation = LicenseActivation;
+}
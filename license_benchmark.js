@@ -0,0 +1,261 @@
+// LicenseCore++ Benchmarks
+// Times license generation, validation and HWID lookup on the JavaScript
+// engine and the WASM core, each operation on its own:
+//
+//   const report = await LicenseBenchmark.run({ engineOptions: { secretKey }, iterations: 200 });
+//   console.log(LicenseBenchmark.formatTable(report));
+//
+// Every engine under test is a fresh LicenseCoreEngine built from
+// engineOptions with demo mode and rate limiting off, so a benchmark never uses
+// up the issuance rate limit or replaces the caller's current license. Each operation gets `warmup`
+// untimed runs, then `iterations` timed ones:
+//   generate - generateLicense() with three features
+//   validate - validateLicense() of a license the same engine issued
+//   hwid     - an uncached HWID lookup (fingerprint or WASM core)
+// On the WASM engine only the HWID lookup is pure core work: generation runs
+// the core and then re-signs its output in JS, and validation is the shared JS
+// path (the core doesn't verify canonical signatures). Each result's `path`
+// says which: 'javascript', 'wasm' or 'hybrid'.
+//
+// Report (plain JSON):
+//   { version, created_at, environment: { runtime, platform }, iterations, warmup,
+//     results: [{ engine, operation, path, iterations, total_ms, ops_per_sec, mean_ms,
+//                 min_ms, max_ms, p50_ms, p95_ms, p99_ms, memory_delta_bytes }],
+//     skipped: [{ engine, reason }] }
+// memory_delta_bytes is the JS heap growth over the timed runs, or null where
+// the runtime doesn't expose it (browsers other than Chromium).
+
+const LicenseBenchmark = (() => {
+    const LicenseEngine = typeof module !== 'undefined' && module.exports
+        ? require('./license_engine.js')
+        : globalThis.LicenseEngine;
+
+    const REPORT_VERSION = 1;
+    const DEFAULT_ITERATIONS = 200;
+    const DEFAULT_WARMUP = 20;
+    const ENGINES = ['js', 'wasm'];
+    const OPERATIONS = ['generate', 'validate', 'hwid'];
+    const PERCENTILES = [50, 95, 99];
+    const YIELD_EVERY = 10; // Iterations between event-loop turns, so pages stay responsive
+    const BENCH_FEATURES = ['basic', 'premium', 'api'];
+    // Code each operation runs on the WASM engine
+    const WASM_PATHS = { generate: 'hybrid', validate: 'javascript', hwid: 'wasm' };
+    const PATH_LABELS = { javascript: 'JS path', hybrid: 'hybrid' };
+
+    const now = () => performance.now();
+
+    function heapUsed() {
+        if (typeof process !== 'undefined' && typeof process.memoryUsage === 'function') {
+            return process.memoryUsage().heapUsed;
+        }
+        if (typeof performance !== 'undefined' && performance.memory) {
+            return performance.memory.usedJSHeapSize;
+        }
+        return null;
+    }
+
+    function environment() {
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            return { runtime: `node ${process.versions.node}`, platform: `${process.platform}-${process.arch}` };
+        }
+        return {
+            runtime: typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown',
+            platform: typeof navigator !== 'undefined' && navigator.platform || 'unknown'
+        };
+    }
+
+    function pause() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // Nearest-rank percentile of ascending samples
+    function percentile(sorted, p) {
+        if (!sorted.length) {
+            return null;
+        }
+        return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+    }
+
+    const round = (value, digits = 3) => value === null ? null : Number(value.toFixed(digits));
+
+    function summarize(engine, operation, samples, memoryDelta) {
+        const sorted = samples.slice().sort((a, b) => a - b);
+        const total = samples.reduce((sum, sample) => sum + sample, 0);
+        const result = {
+            engine,
+            operation,
+            path: engine === 'wasm' ? WASM_PATHS[operation] : 'javascript',
+            iterations: samples.length,
+            total_ms: round(total),
+            ops_per_sec: round(total > 0 ? samples.length / (total / 1000) : 0, 1),
+            mean_ms: round(total / samples.length),
+            min_ms: round(sorted[0]),
+            max_ms: round(sorted[sorted.length - 1])
+        };
+        PERCENTILES.forEach(p => { result[`p${p}_ms`] = round(percentile(sorted, p)); });
+        result.memory_delta_bytes = memoryDelta;
+        return result;
+    }
+
+    // Engine under test; resolves to null (with the reason) when it can't load
+    async function createEngine(name, options) {
+        const engine = new LicenseEngine.LicenseCoreEngine({ ...options.engineOptions, demoMode: false, rateLimit: false });
+        await engine.init(name === 'wasm' ? { ...options.wasmOptions } : { wasm: false });
+        if (name === 'wasm' && !engine.useWasm) {
+            const reason = engine.wasmError ? engine.wasmError.message : 'WASM core not available';
+            return { engine: null, reason };
+        }
+        return { engine, reason: null };
+    }
+
+    // Async function running one iteration of an operation
+    async function prepare(engine, operation) {
+        if (operation === 'generate') {
+            return i => engine.generateLicense(`bench-user-${i}`, BENCH_FEATURES, 30);
+        }
+        if (operation === 'validate') {
+            const license = await engine.generateLicense('bench-user', BENCH_FEATURES, 30);
+            const result = await engine.validateLicense(license);
+            if (!result.valid) {
+                throw new Error(`Benchmark license does not validate: ${result.error}`);
+            }
+            return () => engine.validateLicense(license);
+        }
+        return () => engine.collectHwid();
+    }
+
+    async function measure(step, { iterations, warmup, onTick }) {
+        for (let i = 0; i < warmup; i++) {
+            await step(i);
+        }
+        const samples = [];
+        const heapBefore = heapUsed();
+        for (let i = 0; i < iterations; i++) {
+            const start = now();
+            await step(i);
+            samples.push(now() - start);
+            if ((i + 1) % YIELD_EVERY === 0) {
+                onTick(i + 1);
+                await pause();
+            }
+        }
+        const heapAfter = heapUsed();
+        return { samples, memoryDelta: heapBefore === null ? null : heapAfter - heapBefore };
+    }
+
+    // options: { engineOptions - LicenseCoreEngine options (keys; demoMode and
+    //              rateLimit are ignored),
+    //            wasmOptions - init() options for the WASM engine (moduleFactory,
+    //              wasmBinary, wasmPath, wasmUrl),
+    //            engines (default ['js', 'wasm']), operations (default all three),
+    //            iterations (default 200), warmup (default 20),
+    //            onProgress({ engine, operation, done, total }) }
+    // An engine that fails to load is listed in `skipped`; anything else that
+    // goes wrong rejects.
+    async function run(options = {}) {
+        const iterations = options.iterations ?? DEFAULT_ITERATIONS;
+        const warmup = options.warmup ?? DEFAULT_WARMUP;
+        const engines = options.engines || ENGINES;
+        const operations = options.operations || OPERATIONS;
+        const onProgress = options.onProgress || (() => {});
+        if (!Number.isSafeInteger(iterations) || iterations < 1 || !Number.isSafeInteger(warmup) || warmup < 0) {
+            throw new Error('Benchmark needs iterations >= 1 and warmup >= 0');
+        }
+        [[engines, ENGINES, 'engine'], [operations, OPERATIONS, 'operation']].forEach(([names, known, kind]) => {
+            const unknown = names.find(name => !known.includes(name));
+            if (unknown) {
+                throw new Error(`Unknown benchmark ${kind}: ${unknown} (expected ${known.join(', ')})`);
+            }
+        });
+
+        const report = {
+            version: REPORT_VERSION,
+            created_at: new Date().toISOString(),
+            environment: environment(),
+            iterations,
+            warmup,
+            results: [],
+            skipped: []
+        };
+        for (const name of engines) {
+            const { engine, reason } = await createEngine(name, options);
+            if (!engine) {
+                report.skipped.push({ engine: name, reason });
+                continue;
+            }
+            for (const operation of operations) {
+                const step = await prepare(engine, operation);
+                const onTick = done => onProgress({ engine: name, operation, done, total: iterations });
+                const { samples, memoryDelta } = await measure(step, { iterations, warmup, onTick });
+                report.results.push(summarize(name, operation, samples, memoryDelta));
+            }
+        }
+        return report;
+    }
+
+    function formatBytes(bytes) {
+        if (bytes === null) {
+            return 'n/a';
+        }
+        const kb = bytes / 1024;
+        return Math.abs(kb) >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${kb.toFixed(1)} KB`;
+    }
+
+    const COLUMNS = ['Engine', 'Operation', 'ops/sec', 'p50 ms', 'p95 ms', 'p99 ms', 'Heap Δ'];
+
+    // "WASM", "WASM (hybrid)", "WASM (JS path)" or "JavaScript"
+    function engineLabel(result) {
+        if (result.engine !== 'wasm') {
+            return 'JavaScript';
+        }
+        return result.path in PATH_LABELS ? `WASM (${PATH_LABELS[result.path]})` : 'WASM';
+    }
+
+    // Display cells matching COLUMNS, one row per result (CLI and demo page)
+    function tableRows(report) {
+        return report.results.map(result => [
+            engineLabel(result),
+            result.operation,
+            result.ops_per_sec.toFixed(1),
+            result.p50_ms.toFixed(3),
+            result.p95_ms.toFixed(3),
+            result.p99_ms.toFixed(3),
+            formatBytes(result.memory_delta_bytes)
+        ]);
+    }
+
+    // Plain-text table of a report (CLI)
+    function formatTable(report) {
+        const rows = [COLUMNS, ...tableRows(report)];
+        const widths = COLUMNS.map((column, i) => Math.max(...rows.map(row => row[i].length)));
+        const line = row => row.map((cell, i) => i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+        const lines = [
+            `${report.environment.runtime} (${report.environment.platform}) - ` +
+                `${report.iterations} iterations after ${report.warmup} warm-up`,
+            '',
+            line(COLUMNS),
+            widths.map(width => '-'.repeat(width)).join('  '),
+            ...tableRows(report).map(line)
+        ];
+        report.skipped.forEach(skip => lines.push(`(${skip.engine} skipped: ${skip.reason})`));
+        return lines.join('\n');
+    }
+
+    return {
+        REPORT_VERSION,
+        ENGINES,
+        OPERATIONS,
+        COLUMNS,
+        percentile,
+        run,
+        tableRows,
+        formatTable
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseBenchmark;
+} else {
+    globalThis.LicenseBenchmark = LicenseBenchmark;
+}
@@ -0,0 +1,120 @@
+// LicenseCore++ Canonical License Serialization
+// Single source of truth for the bytes that get signed and verified.
+//
+// Rules:
+//   - object keys sorted by code point, at every level
+//   - compact separators, no whitespace outside strings
+//   - date fields normalized to YYYY-MM-DDTHH:MM:SSZ (UTC, no milliseconds)
+//   - `features` sorted (order carries no meaning), never de-duplicated: every
+//     entry is signed. The `expiry` of feature objects is normalized like the
+//     license dates
+//   - signature fields are never part of the signed payload
+
+const LicenseCanonical = (() => {
+    const SIGNATURE_FIELDS = ['hmac_signature', 'signature'];
+    const DATE_FIELDS = ['expiry', 'issued_at', 'not_before'];
+
+    function formatDate(date) {
+        return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    function normalizeDate(value, field) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date in field: ${field}`);
+        }
+        return formatDate(date);
+    }
+
+    function featureSortKey(feature) {
+        return typeof feature === 'string' ? feature : String(feature && feature.name);
+    }
+
+    function normalizeFeature(feature) {
+        if (!feature || typeof feature !== 'object' || Array.isArray(feature) || feature.expiry == null) {
+            return feature;
+        }
+        return { ...feature, expiry: normalizeDate(feature.expiry, 'features.expiry') };
+    }
+
+    function normalizeFeatures(features) {
+        if (!Array.isArray(features)) {
+            return features;
+        }
+        // Ties (entries sharing a name) are ordered by their serialized form
+        const sortKey = feature => [featureSortKey(feature), serializeValue(feature)];
+        return features.map(normalizeFeature)
+            .map(feature => ({ feature, key: sortKey(feature) }))
+            .sort((a, b) => {
+                for (let i = 0; i < 2; i++) {
+                    if (a.key[i] !== b.key[i]) return a.key[i] < b.key[i] ? -1 : 1;
+                }
+                return 0;
+            })
+            .map(entry => entry.feature);
+    }
+
+    // Returns a normalized deep copy of the license without signature fields
+    function normalize(license) {
+        const result = {};
+        for (const [key, value] of Object.entries(license)) {
+            if (SIGNATURE_FIELDS.includes(key) || value === undefined) continue;
+            if (DATE_FIELDS.includes(key)) {
+                result[key] = normalizeDate(value, key);
+            } else if (key === 'features') {
+                result[key] = normalizeFeatures(value);
+            } else {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+
+    function serializeValue(value) {
+        if (value === null) return 'null';
+        if (value instanceof Date) return JSON.stringify(formatDate(value));
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => item === undefined ? 'null' : serializeValue(item)).join(',') + ']';
+        }
+        switch (typeof value) {
+            case 'string':
+            case 'boolean':
+                return JSON.stringify(value);
+            case 'number':
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Cannot serialize non-finite number: ${value}`);
+                }
+                return JSON.stringify(value);
+            case 'object': {
+                const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+                return '{' + keys.map(key => JSON.stringify(key) + ':' + serializeValue(value[key])).join(',') + '}';
+            }
+            default:
+                throw new Error(`Cannot serialize value of type ${typeof value}`);
+        }
+    }
+
+    // Canonical string of a license (object or JSON text) - this is what gets signed
+    function canonicalize(license) {
+        const data = typeof license === 'string' ? JSON.parse(license) : license;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('License must be a JSON object');
+        }
+        return serializeValue(normalize(data));
+    }
+
+    return {
+        SIGNATURE_FIELDS,
+        DATE_FIELDS,
+        formatDate,
+        normalize,
+        canonicalize
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseCanonical;
+} else {
+    globalThis.LicenseCanonical = LicenseCanonical;
+}
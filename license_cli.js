@@ -0,0 +1,729 @@
+#!/usr/bin/env node
+// LicenseCore++ Command-Line Tool
+// Issue, inspect and validate licenses with the same engine as the demo page.
+//
+//   node license_cli.js keygen  [--alg HMAC-SHA256|Ed25519|ECDSA-P256] [--out keys.json] [--public-out pub.json]
+//   node license_cli.js keygen  --keyring ring.json [--kid ID]      (rotate: new current key, old one retired)
+//   node license_cli.js keyring ring.json [--kid ID --status active|retired|compromised] [--public-out pub.json]
+//   node license_cli.js issue   --key keys.json --user ID --features a,b [--days N] [--hwid HWID]
+//                               [--not-before DATE] [--compact | --encrypt --product-key KEY] [--out file]
+//   (a feature can carry an entitlement: api:limit=10000:expiry=2026-03-31:period=month)
+//   node license_cli.js verify  <file> --key keys.json [--hwid HWID] [--grace-days N] [--clock-skew SECONDS]
+//                               [--clock-file FILE [--clock-secret SECRET]] [--revocations FILE|URL] [--reject-compromised]
+//                               [--product-key KEY]
+// --key takes a key file or a keyring.
+//   node license_cli.js inspect <file> [--product-key KEY]   (encrypted licenses stay opaque without it)
+//   node license_cli.js compact <file>                 JSON license -> XXXXX-XXXXX-... key
+//   node license_cli.js expand  <file|key>             compact key -> JSON license
+//   node license_cli.js migrate <file> --key keys.json [--product-key KEY] [--out file]
+//                               re-issue an older license version, keeping its license_id
+//   node license_cli.js revoke  --key keys.json --list revocations.json --license ID [--reason TEXT]
+//   node license_cli.js request  --product NAME --user ID --features a,b --out request.json   (client)
+//   node license_cli.js activate --key keys.json --request request.json [--days N] --out license.json (vendor)
+//   node license_cli.js accept   <license> --request request.json --key keys.json           (client)
+//   node license_cli.js hwid
+//   node license_cli.js bench   [--engine js|wasm|both] [--operations generate,validate,hwid]
+//                               [--iterations N] [--warmup N] [--key keys.json] [--out report.json]
+//
+// Every command accepts --json for machine-readable output. `-` reads the
+// license from stdin. License files may hold the JSON license or its compact
+// key. Exit codes are listed in EXIT_CODES below.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { createLicenseCore, ALGORITHMS, ERROR_CODES, generateKeyPair } = require('./license_engine.js');
+const LicenseFeatures = require('./license_features.js');
+const LicenseKeyring = require('./license_keyring.js');
+const LicenseCompact = require('./license_compact.js');
+const LicenseEnvelope = require('./license_envelope.js');
+const LicenseSchema = require('./license_schema.js');
+const LicenseRevocation = require('./license_revocation.js');
+const LicenseBenchmark = require('./license_benchmark.js');
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    MALFORMED: 3,
+    INVALID_SIGNATURE: 4,
+    EXPIRED: 5,
+    HARDWARE_MISMATCH: 6,
+    KEY_ERROR: 7,
+    NOT_YET_VALID: 8,
+    CLOCK_ROLLBACK: 9,
+    REVOKED: 10,
+    ACTIVATION_MISMATCH: 11
+};
+
+// Validation error code -> exit code
+const FAILURE_EXIT_CODES = {
+    [ERROR_CODES.JSON_PARSING_ERROR]: EXIT_CODES.MALFORMED,
+    [ERROR_CODES.MALFORMED_LICENSE]: EXIT_CODES.MALFORMED,
+    [ERROR_CODES.UNSUPPORTED_VERSION]: EXIT_CODES.MALFORMED,
+    [ERROR_CODES.INVALID_SIGNATURE]: EXIT_CODES.INVALID_SIGNATURE,
+    [ERROR_CODES.LICENSE_EXPIRED]: EXIT_CODES.EXPIRED,
+    [ERROR_CODES.LICENSE_NOT_YET_VALID]: EXIT_CODES.NOT_YET_VALID,
+    [ERROR_CODES.CLOCK_ROLLBACK]: EXIT_CODES.CLOCK_ROLLBACK,
+    [ERROR_CODES.LICENSE_REVOKED]: EXIT_CODES.REVOKED,
+    [ERROR_CODES.ACTIVATION_MISMATCH]: EXIT_CODES.ACTIVATION_MISMATCH,
+    [ERROR_CODES.HARDWARE_MISMATCH]: EXIT_CODES.HARDWARE_MISMATCH,
+    [ERROR_CODES.CRYPTOGRAPHIC_ERROR]: EXIT_CODES.KEY_ERROR
+};
+
+const USAGE = `Usage: license_cli.js <command> [options]
+
+Commands:
+  keygen   [--alg HMAC-SHA256|Ed25519|ECDSA-P256] [--out FILE] [--public-out FILE]
+           [--keyring FILE [--kid ID]]  add the key to a keyring as the current one, retiring the old one
+  keyring  <keyring-file> [--kid ID --status active|retired|compromised] [--public-out FILE]
+           list keys, change a key's status, or write the keyring without private keys
+  issue    --key FILE --user ID --features a,b [--days N] [--hwid HWID] [--not-before DATE] [--out FILE]
+           feature entitlements: name:limit=N:expiry=DATE:key=value
+           [--compact]  write the human-typable key instead of JSON
+           [--encrypt --product-key KEY]  encrypt the license body (AES-GCM), signed on the outside
+  verify   <license-file> --key FILE [--hwid HWID] [--grace-days N] [--clock-skew SECONDS]
+           [--clock-file FILE]  record a last-seen time and refuse clock rollbacks
+           [--clock-secret SECRET]  signs the clock mark (required with a public key)
+           [--revocations FILE|URL]  signed revocation list to check against
+           [--reject-compromised]  refuse licenses signed by keys marked compromised
+           [--product-key KEY]  open encrypted licenses
+  inspect  <license-file> [--product-key KEY]
+  compact  <license-file>  print the license as a human-typable key
+  expand   <license-file|key>  print the JSON license for a compact key
+  migrate  <license-file> --key FILE [--product-key KEY] [--out FILE]
+           re-issue a license from an older format version, keeping its license_id
+  revoke   --key FILE --list FILE --license ID [--reason TEXT] [--date DATE] [--out FILE]
+           add a license to a signed revocation list (created if missing)
+  request  [--product NAME] [--user ID] [--features a,b] [--out FILE]
+           offline activation: write an activation request for this machine
+  activate --key FILE --request FILE [--days N] [--features a,b] [--user ID] [--out FILE]
+           offline activation: issue the license answering a request
+  accept   <license-file> --request FILE --key FILE
+           offline activation: check the license answers the request, then verify it
+  hwid
+  bench    [--engine js|wasm|both] [--operations generate,validate,hwid] [--iterations N] [--warmup N]
+           [--key FILE] [--out FILE]
+           time each engine (p50/p95/p99, ops/sec, heap growth); --json or --out for the report.
+           Without --key a throwaway HMAC key is used.
+
+Options:
+  --json     machine-readable output
+  --wasm     use the WASM core instead of the JavaScript engine
+  --help     show this message`;
+
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_CODES.ERROR) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const [name, inline] = arg.slice(2).split(/=(.*)/s);
+            if (inline !== undefined) {
+                args[name] = inline;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                args[name] = argv[++i];
+            } else {
+                args[name] = true;
+            }
+        } else {
+            args._.push(arg);
+        }
+    }
+    return args;
+}
+
+function requireOption(args, name) {
+    if (args[name] === undefined || args[name] === true) {
+        throw new CliError(`Missing required option --${name}`, EXIT_CODES.USAGE);
+    }
+    return args[name];
+}
+
+function readText(file) {
+    try {
+        return file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new CliError(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function writeText(file, text) {
+    fs.writeFileSync(file, text.endsWith('\n') ? text : text + '\n');
+}
+
+function readKeyring(file, data = null) {
+    try {
+        return new LicenseKeyring.Keyring(data || JSON.parse(readText(file)));
+    } catch (error) {
+        throw new CliError(`Invalid keyring ${file}: ${error.message}`, EXIT_CODES.KEY_ERROR);
+    }
+}
+
+// Key files hold { alg, secretKey } or { alg, publicKey, privateKey? }, or are a
+// keyring { current, keys: [...] } whose current key signs
+function loadKeys(args) {
+    if (args.secret) {
+        return { alg: ALGORITHMS.HMAC_SHA256, secretKey: args.secret };
+    }
+    const file = requireOption(args, 'key');
+    let keys;
+    try {
+        keys = JSON.parse(readText(file));
+    } catch (error) {
+        throw new CliError(`Invalid key file ${file}: ${error.message}`, EXIT_CODES.KEY_ERROR);
+    }
+    if (Array.isArray(keys.keys)) {
+        const keyring = readKeyring(file, keys);
+        let current;
+        try {
+            current = keyring.current();
+        } catch (error) {
+            throw new CliError(`${file}: ${error.message}`, EXIT_CODES.KEY_ERROR);
+        }
+        return { ...LicenseKeyring.signingKeys(current), keyring };
+    }
+    if (!keys.alg) {
+        throw new CliError(`Key file ${file} has no "alg"`, EXIT_CODES.KEY_ERROR);
+    }
+    return keys;
+}
+
+// "api:limit=10000:expiry=2026-03-31:period=month" -> entitlement object;
+// a bare name stays a plain string
+function parseFeature(spec) {
+    const [name, ...options] = spec.split(':');
+    if (!options.length) {
+        return name;
+    }
+    const feature = { name };
+    for (const option of options) {
+        const [key, value] = option.split(/=(.*)/s);
+        if (value === undefined) {
+            throw new CliError(`Invalid feature option "${option}" in ${spec}`, EXIT_CODES.USAGE);
+        }
+        if (key === 'expiry') {
+            if (isNaN(new Date(value).getTime())) {
+                throw new CliError(`Invalid expiry date for feature ${name}: ${value}`, EXIT_CODES.USAGE);
+            }
+            feature.expiry = value;
+        } else if (key === 'limit') {
+            feature.limit = Number(value);
+            if (!Number.isFinite(feature.limit) || feature.limit < 0) {
+                throw new CliError(`Invalid limit for feature ${name}: ${value}`, EXIT_CODES.USAGE);
+            }
+        } else {
+            feature.params = { ...feature.params, [key]: value };
+        }
+    }
+    return feature;
+}
+
+function numberOption(args, name) {
+    if (args[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(args[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw new CliError(`--${name} must be a non-negative number`, EXIT_CODES.USAGE);
+    }
+    return value;
+}
+
+async function createEngine(args, keys = {}) {
+    return await createLicenseCore({
+        secretKey: keys.secretKey,
+        keyring: keys.keyring,
+        rejectCompromisedKeys: !!args['reject-compromised'],
+        productKey: args['product-key'] === undefined ? null : String(args['product-key']),
+        gracePeriodDays: numberOption(args, 'grace-days'),
+        clockSkewSeconds: numberOption(args, 'clock-skew'),
+        clockGuard: args['clock-file'] ? {
+            storage: 'file',
+            file: String(args['clock-file']),
+            secret: args['clock-secret'] === undefined ? undefined : String(args['clock-secret'])
+        } : undefined,
+        signing: keys.alg && keys.alg !== ALGORITHMS.HMAC_SHA256
+            ? { alg: keys.alg, privateKey: keys.privateKey || null, publicKey: keys.publicKey || null }
+            : undefined,
+        wasm: !!args.wasm
+    });
+}
+
+function exitCodeFor(code) {
+    return FAILURE_EXIT_CODES[code] ?? EXIT_CODES.ERROR;
+}
+
+function print(args, json, text) {
+    console.log(args.json ? JSON.stringify(json, null, 2) : text);
+}
+
+async function keygen(args) {
+    const alg = args.alg || ALGORITHMS.HMAC_SHA256;
+    let keys;
+    if (alg === ALGORITHMS.HMAC_SHA256) {
+        keys = { alg, secretKey: crypto.randomBytes(32).toString('hex') };
+    } else {
+        try {
+            keys = await generateKeyPair(alg);
+        } catch (error) {
+            throw new CliError(error.message, EXIT_CODES.USAGE);
+        }
+    }
+
+    if (args.keyring) {
+        return rotateKey(args, keys);
+    }
+    if (args['public-out']) {
+        if (!keys.publicKey) {
+            throw new CliError('--public-out requires a public-key algorithm', EXIT_CODES.USAGE);
+        }
+        writeText(args['public-out'], JSON.stringify({ alg, publicKey: keys.publicKey }, null, 2));
+    }
+    if (args.out) {
+        writeText(args.out, JSON.stringify(keys, null, 2));
+        print(args, { alg, out: args.out, publicOut: args['public-out'] || null }, `🔑 ${alg} keys written to ${args.out}`);
+    } else {
+        console.log(JSON.stringify(keys, null, 2));
+    }
+    return EXIT_CODES.OK;
+}
+
+// keygen --keyring: the new key becomes current, the previous current key is retired
+function rotateKey(args, keys) {
+    const file = String(args.keyring);
+    const keyring = fs.existsSync(file) ? readKeyring(file) : new LicenseKeyring.Keyring();
+    const kid = args.kid === undefined
+        ? `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(2).toString('hex')}`
+        : String(args.kid);
+    const previous = keyring.keys.find(key => key.status === LicenseKeyring.STATUS.ACTIVE) ? keyring.current() : null;
+    try {
+        keyring.rotate({ kid, ...keys });
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+    writeText(file, JSON.stringify(keyring, null, 2));
+    print(args, { kid, alg: keys.alg, keyring: file, retired: previous ? previous.kid : null },
+        `🔑 ${keys.alg} key ${kid} is now current in ${file}${previous ? ` (retired ${previous.kid})` : ''}`);
+    return EXIT_CODES.OK;
+}
+
+async function keyring(args) {
+    const file = args._[1];
+    if (!file) {
+        throw new CliError('keyring needs a keyring file', EXIT_CODES.USAGE);
+    }
+    const ring = readKeyring(file);
+    if (args.kid !== undefined) {
+        try {
+            ring.setStatus(String(args.kid), String(requireOption(args, 'status')));
+        } catch (error) {
+            throw new CliError(error.message, error instanceof CliError ? error.exitCode : EXIT_CODES.USAGE);
+        }
+        writeText(file, JSON.stringify(ring, null, 2));
+    }
+    if (args['public-out']) {
+        // HMAC secrets stay: validators can't verify HMAC licenses without them
+        const publicRing = ring.toJSON();
+        publicRing.keys = publicRing.keys.map(({ privateKey, ...key }) => key);
+        writeText(args['public-out'], JSON.stringify(publicRing, null, 2));
+    }
+
+    let current = null;
+    try {
+        current = ring.current().kid;
+    } catch (error) {
+        // No active key: nothing can be issued, existing licenses still verify
+    }
+    const keys = ring.keys.map(({ kid, alg, status }) => ({ kid, alg, status, current: kid === current }));
+    print(args, { current, keys },
+        keys.map(key => `${key.current ? '*' : ' '} ${key.kid.padEnd(20)} ${key.alg.padEnd(12)} ${key.status}`).join('\n'));
+    return EXIT_CODES.OK;
+}
+
+async function issue(args) {
+    const keys = loadKeys(args);
+    const userId = requireOption(args, 'user');
+    const features = parseFeatureList(requireOption(args, 'features'));
+    const days = args.days === undefined ? 365 : parseInt(args.days, 10);
+    if (isNaN(days) || (days < 1 && days !== -1)) {
+        throw new CliError('--days must be a positive number of days or -1 for perpetual', EXIT_CODES.USAGE);
+    }
+
+    const engine = await createEngine(args, keys);
+    const hardwareHash = args.hwid === undefined ? undefined : String(args.hwid);
+    const notBefore = args['not-before'];
+    if (notBefore !== undefined && isNaN(new Date(notBefore).getTime())) {
+        throw new CliError(`Invalid --not-before date: ${notBefore}`, EXIT_CODES.USAGE);
+    }
+    if (args.encrypt && (args.compact || !engine.productKey)) {
+        throw new CliError(args.compact ? '--encrypt and --compact can\'t be combined' : '--encrypt needs --product-key',
+            EXIT_CODES.USAGE);
+    }
+    const json = await engine.generateLicense(userId, features, days, { hardwareHash, notBefore, encrypt: !!args.encrypt });
+    const license = args.compact ? toCompactKey(json) : json;
+
+    if (args.out) {
+        writeText(args.out, license);
+        const data = engine.currentLicense;
+        print(args, { out: args.out, license_id: data.license_id, expiry: data.expiry },
+            `✅ License ${data.license_id} written to ${args.out}`);
+    } else if (args.compact) {
+        print(args, { key: license }, license);
+    } else {
+        console.log(args.json ? JSON.stringify(JSON.parse(license)) : license);
+    }
+    return EXIT_CODES.OK;
+}
+
+function toCompactKey(license) {
+    try {
+        return LicenseCompact.encode(license);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.MALFORMED);
+    }
+}
+
+// License object from JSON text or a compact key
+function parseLicense(text) {
+    try {
+        return LicenseCompact.isCompactKey(text) ? LicenseCompact.decode(text) : JSON.parse(text);
+    } catch (error) {
+        throw new CliError(error.code ? error.message : `JSON parsing error: ${error.message}`, EXIT_CODES.MALFORMED);
+    }
+}
+
+async function compact(args) {
+    const file = args._[1];
+    if (!file) {
+        throw new CliError('compact needs a license file', EXIT_CODES.USAGE);
+    }
+    const key = toCompactKey(parseLicense(readText(file)));
+    print(args, { key }, key);
+    return EXIT_CODES.OK;
+}
+
+// The argument may be the key itself (handy on the phone) or a file holding it
+async function expand(args) {
+    const source = args._[1];
+    if (!source) {
+        throw new CliError('expand needs a license file or key', EXIT_CODES.USAGE);
+    }
+    const text = source !== '-' && !fs.existsSync(source) ? source : readText(source);
+    const license = parseLicense(text.trim());
+    console.log(args.json ? JSON.stringify(license) : JSON.stringify(license, null, 2));
+    return EXIT_CODES.OK;
+}
+
+// The old signature must verify under --key (a keyring verifies retired keys);
+// the migrated license is signed with the current key
+async function migrate(args) {
+    const file = args._[1];
+    if (!file) {
+        throw new CliError('migrate needs a license file', EXIT_CODES.USAGE);
+    }
+    const keys = loadKeys(args);
+    const engine = await createEngine(args, keys);
+    let json;
+    try {
+        json = await engine.migrateLicense(readText(file).trim());
+    } catch (error) {
+        throw new CliError(error.message, error.code ? exitCodeFor(error.code) : EXIT_CODES.ERROR);
+    }
+
+    if (args.out) {
+        writeText(args.out, json);
+        const data = JSON.parse(json);
+        print(args, { out: args.out, license_id: data.license_id || null, version: LicenseSchema.CURRENT_VERSION },
+            `✅ ${data.license_id ? `License ${data.license_id}` : 'Encrypted license'} migrated to version ${LicenseSchema.CURRENT_VERSION}, written to ${args.out}`);
+    } else {
+        console.log(args.json ? JSON.stringify(JSON.parse(json)) : json);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function verify(args) {
+    const file = args._[1];
+    if (!file) {
+        throw new CliError('verify needs a license file', EXIT_CODES.USAGE);
+    }
+    const keys = loadKeys(args);
+    const engine = await createEngine(args, keys);
+    if (args.hwid !== undefined) {
+        engine.setHwid(String(args.hwid));
+    }
+    if (args.revocations) {
+        try {
+            await engine.loadRevocationList(String(args.revocations));
+        } catch (error) {
+            throw new CliError(`Revocation list ${args.revocations}: ${error.message}`,
+                error.code ? exitCodeFor(error.code) : EXIT_CODES.ERROR);
+        }
+    }
+
+    return printValidation(args, await engine.validateLicense(readText(file)));
+}
+
+function printValidation(args, result) {
+    const exitCode = result.valid ? EXIT_CODES.OK : exitCodeFor(result.code);
+    print(args,
+        {
+            valid: result.valid,
+            error: result.error || null,
+            code: result.code || null,
+            exitCode,
+            inGracePeriod: result.valid ? result.inGracePeriod : undefined,
+            daysRemaining: result.valid ? result.daysRemaining : undefined,
+            signingKey: result.valid ? result.signing_key : undefined,
+            license: result.valid ? result.license : undefined
+        },
+        result.valid
+            ? `✅ ${result.message}${result.signing_key && result.signing_key.kid ? ` (key ${result.signing_key.kid}, ${result.signing_key.status})` : ''}`
+            : `❌ ${result.error}`);
+    return exitCode;
+}
+
+async function inspect(args) {
+    const file = args._[1];
+    if (!file) {
+        throw new CliError('inspect needs a license file', EXIT_CODES.USAGE);
+    }
+    let license = parseLicense(readText(file).trim());
+    const encrypted = LicenseEnvelope.isEnvelope(license);
+    if (encrypted) {
+        if (args['product-key'] === undefined) {
+            const details = LicenseEnvelope.describe(license);
+            print(args, details, Object.entries(details)
+                .map(([key, value]) => `${key.padEnd(14)} ${value}`)
+                .concat('🔒 Encrypted license - pass --product-key to show its contents')
+                .join('\n'));
+            return EXIT_CODES.OK;
+        }
+        try {
+            license = await LicenseEnvelope.open(license, String(args['product-key']));
+        } catch (error) {
+            throw new CliError(error.message, exitCodeFor(error.code));
+        }
+    }
+
+    const expiry = new Date(license.expiry);
+    const daysLeft = Math.floor((expiry.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+    const summary = {
+        user_id: license.user_id,
+        license_id: license.license_id,
+        features: license.features,
+        issued_at: license.issued_at,
+        not_before: license.not_before || null,
+        expiry: license.expiry,
+        days_left: isNaN(daysLeft) ? null : daysLeft,
+        hardware_hash: license.hardware_hash,
+        version: license.version,
+        signature_alg: license.signature_alg || ALGORITHMS.HMAC_SHA256,
+        kid: license.kid || null
+    };
+    if (encrypted) {
+        summary.encrypted = true;
+    }
+
+    print(args, summary, Object.entries(summary)
+        .map(([key, value]) => `${key.padEnd(14)} ${Array.isArray(value) ? value.map(LicenseFeatures.describe).join(', ') : value}`)
+        .join('\n'));
+    return EXIT_CODES.OK;
+}
+
+async function revoke(args) {
+    const keys = loadKeys(args);
+    const listFile = String(requireOption(args, 'list'));
+    const licenseId = String(requireOption(args, 'license'));
+    if (args.date !== undefined && isNaN(new Date(args.date).getTime())) {
+        throw new CliError(`Invalid --date: ${args.date}`, EXIT_CODES.USAGE);
+    }
+
+    let list = null;
+    if (fs.existsSync(listFile)) {
+        try {
+            list = JSON.parse(readText(listFile));
+        } catch (error) {
+            throw new CliError(`JSON parsing error in ${listFile}: ${error.message}`, EXIT_CODES.MALFORMED);
+        }
+        // Never extend a list we can't vouch for
+        const verification = await LicenseRevocation.verifyList(list, keys.keyring || keys);
+        if (!verification.valid) {
+            throw new CliError(`${listFile}: ${verification.error}`, exitCodeFor(verification.code));
+        }
+    }
+
+    let updated;
+    try {
+        updated = await LicenseRevocation.revoke(list, {
+            license_id: licenseId,
+            reason: args.reason === undefined ? undefined : String(args.reason),
+            revoked_at: args.date
+        }, keys.keyring || keys);
+    } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.KEY_ERROR);
+    }
+
+    const out = args.out || listFile;
+    writeText(out, JSON.stringify(updated, null, 2));
+    print(args, { out, version: updated.version, revoked: updated.revoked.length },
+        `🚫 ${licenseId} revoked - list version ${updated.version} (${updated.revoked.length} entries) written to ${out}`);
+    return EXIT_CODES.OK;
+}
+
+function parseFeatureList(value) {
+    return String(value).split(',').map(f => f.trim()).filter(Boolean).map(parseFeature);
+}
+
+async function request(args) {
+    const engine = await createEngine(args);
+    const activationRequest = await engine.createActivationRequest({
+        product: args.product === undefined ? null : String(args.product),
+        userId: args.user === undefined ? null : String(args.user),
+        features: args.features === undefined ? [] : parseFeatureList(args.features)
+    });
+    const text = JSON.stringify(activationRequest, null, 2);
+    if (args.out) {
+        writeText(args.out, text);
+        print(args, { out: args.out, nonce: activationRequest.nonce },
+            `📨 Activation request written to ${args.out} - send it to the vendor and keep it for "accept"`);
+    } else {
+        console.log(text);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function activate(args) {
+    const keys = loadKeys(args);
+    const requestText = readText(String(requireOption(args, 'request')));
+    const days = args.days === undefined ? 365 : parseInt(args.days, 10);
+    if (isNaN(days) || (days < 1 && days !== -1)) {
+        throw new CliError('--days must be a positive number of days or -1 for perpetual', EXIT_CODES.USAGE);
+    }
+
+    const engine = await createEngine(args, keys);
+    let license;
+    try {
+        license = await engine.issueActivationResponse(requestText, {
+            days,
+            features: args.features === undefined ? undefined : parseFeatureList(args.features),
+            userId: args.user === undefined ? undefined : String(args.user)
+        });
+    } catch (error) {
+        throw new CliError(error.message, error.code ? exitCodeFor(error.code) : EXIT_CODES.ERROR);
+    }
+
+    if (args.out) {
+        writeText(args.out, license);
+        const data = JSON.parse(license);
+        print(args, { out: args.out, license_id: data.license_id, hardware_hash: data.hardware_hash },
+            `✅ Activation license ${data.license_id} written to ${args.out}`);
+    } else {
+        console.log(args.json ? JSON.stringify(JSON.parse(license)) : license);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function accept(args) {
+    const file = args._[1];
+    if (!file) {
+        throw new CliError('accept needs a license file', EXIT_CODES.USAGE);
+    }
+    const keys = loadKeys(args);
+    const requestText = readText(String(requireOption(args, 'request')));
+    const engine = await createEngine(args, keys);
+    return printValidation(args, await engine.acceptActivationResponse(readText(file), requestText));
+}
+
+async function hwid(args) {
+    const engine = await createEngine(args);
+    const value = engine.getCurrentHwid();
+    print(args, { hwid: value, engine: engine.useWasm ? 'wasm' : 'js' }, value);
+    return EXIT_CODES.OK;
+}
+
+function integerOption(args, name) {
+    const value = numberOption(args, name);
+    if (value !== undefined && !Number.isSafeInteger(value)) {
+        throw new CliError(`--${name} must be a whole number`, EXIT_CODES.USAGE);
+    }
+    return value;
+}
+
+async function bench(args) {
+    const keys = args.key || args.secret
+        ? loadKeys(args)
+        : { alg: ALGORITHMS.HMAC_SHA256, secretKey: crypto.randomBytes(32).toString('hex') };
+    const engine = args.engine === undefined || args.engine === 'both' ? undefined : String(args.engine);
+    if (engine && !LicenseBenchmark.ENGINES.includes(engine)) {
+        throw new CliError('--engine must be js, wasm or both', EXIT_CODES.USAGE);
+    }
+    const options = {
+        engineOptions: {
+            secretKey: keys.secretKey,
+            keyring: keys.keyring,
+            signing: keys.alg && keys.alg !== ALGORITHMS.HMAC_SHA256
+                ? { alg: keys.alg, privateKey: keys.privateKey || null, publicKey: keys.publicKey || null }
+                : undefined
+        },
+        engines: engine ? [engine] : undefined,
+        operations: args.operations === undefined
+            ? undefined
+            : String(args.operations).split(',').map(name => name.trim()).filter(Boolean),
+        iterations: integerOption(args, 'iterations'),
+        warmup: integerOption(args, 'warmup')
+    };
+    if (options.iterations === 0) {
+        throw new CliError('--iterations must be at least 1', EXIT_CODES.USAGE);
+    }
+    const unknown = (options.operations || []).find(name => !LicenseBenchmark.OPERATIONS.includes(name));
+    if (unknown) {
+        throw new CliError(`Unknown operation: ${unknown} (expected ${LicenseBenchmark.OPERATIONS.join(', ')})`, EXIT_CODES.USAGE);
+    }
+
+    const report = await LicenseBenchmark.run(options);
+    if (!report.results.length) {
+        throw new CliError(`Nothing to benchmark: ${report.skipped.map(skip => skip.reason).join('; ')}`);
+    }
+    if (args.out) {
+        writeText(String(args.out), JSON.stringify(report, null, 2));
+    }
+    print(args, report, LicenseBenchmark.formatTable(report));
+    return EXIT_CODES.OK;
+}
+
+const COMMANDS = { keygen, keyring, issue, verify, inspect, compact, expand, migrate, revoke, request, activate, accept, hwid, bench };
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = COMMANDS[args._[0]];
+    if (args.help || !command) {
+        console.log(USAGE);
+        return args.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    try {
+        return await command(args);
+    } catch (error) {
+        const exitCode = error instanceof CliError ? error.exitCode : EXIT_CODES.ERROR;
+        if (args.json) {
+            console.log(JSON.stringify({ error: error.message, exitCode }, null, 2));
+        } else {
+            console.error(`❌ ${error.message}`);
+        }
+        return exitCode;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs, loadKeys, createEngine, numberOption, CliError, EXIT_CODES };
@@ -0,0 +1,347 @@
+// LicenseCore++ Activation Client
+// Online activation against license_server.js (or the production backend with
+// the same endpoints) for browsers and Node.
+//
+// ActivationClient - node-locked keys. The activated license is cached, so
+// validation keeps working offline: when the server can't be reached the
+// cached license is validated locally.
+//
+//   const client = new LicenseClient.ActivationClient({ serverUrl: 'http://127.0.0.1:8787', engine });
+//   await client.activate('ABCDE-12345-...');   // -> validation result + { source, seats }
+//   await client.validate();                     // server check, or cache when offline
+//   await client.deactivate();                   // frees the seat
+//
+// LeaseClient - floating keys. Holds one short-lived lease, renews it with a
+// heartbeat and releases it on exit. While the server is unreachable the
+// lease keeps working until its expiry plus the offline tolerance it carries.
+//
+//   const lease = new LicenseClient.LeaseClient({ serverUrl, engine, licenseKey: 'ABCDE-...' });
+//   await lease.acquire();                       // -> validation result + { source, seats, lease }
+//   lease.hasFeature('pro');                     // against the active lease
+//   await lease.release();
+
+const LicenseClient = (() => {
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+    const LicenseStorage = typeof module !== 'undefined' && module.exports
+        ? require('./license_storage.js')
+        : globalThis.LicenseStorage;
+
+    const DEFAULT_TIMEOUT = 10000;
+    const DEFAULT_RETRY_INTERVAL = 30000; // Heartbeat retries while the server is unreachable
+
+    // Server answers that mean the cached license is gone for good
+    const DROP_CACHE_CODES = [ERROR_CODES.LICENSE_REVOKED, ERROR_CODES.INVALID_LICENSE_KEY];
+
+    // Transport and cache shared by both clients
+    class ServerClient {
+        // options: { serverUrl, engine (LicenseCoreEngine), timeout (ms),
+        //            storage / file / storageKey for the cache
+        //            (see license_storage.js), fetch - override for tests }
+        constructor(options, storeDefaults) {
+            if (!options.serverUrl || !options.engine) {
+                throw new Error(`${this.constructor.name} needs serverUrl and engine`);
+            }
+            this.serverUrl = options.serverUrl.replace(/\/+$/, '');
+            this.engine = options.engine;
+            this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+            this.fetch = options.fetch || ((...args) => fetch(...args));
+            this.store = options.store || LicenseStorage.createStore(options, storeDefaults);
+        }
+
+        // POST to the server. Resolves to the JSON body (success or failure
+        // object); throws only when the server can't be reached.
+        async post(endpoint, body) {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+            try {
+                const response = await this.fetch(`${this.serverUrl}${endpoint}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body),
+                    signal: controller ? controller.signal : undefined
+                });
+                return await response.json();
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+        }
+
+        // Parsed cache entry or null
+        async cached() {
+            try {
+                const text = await this.store.read();
+                return text ? JSON.parse(text) : null;
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+
+    class ActivationClient extends ServerClient {
+        constructor(options = {}) {
+            super(options, { storageKey: 'licensecore.license', fileName: 'license.json' });
+        }
+
+        async validateCached(reason) {
+            const cached = await this.cached();
+            if (!cached) {
+                return failure(ERROR_CODES.SERVER_UNAVAILABLE,
+                    `Activation server unavailable and no cached license: ${reason.message}`);
+            }
+            const result = await this.engine.validateLicense(cached.license);
+            return { ...result, source: 'cache', offline: true };
+        }
+
+        async activate(licenseKey) {
+            const hwid = await this.engine.refreshHwid();
+            let answer;
+            try {
+                answer = await this.post('/activate', { license_key: licenseKey, hardware_hash: hwid });
+            } catch (error) {
+                return await this.validateCached(error);
+            }
+            if (answer.valid === false) {
+                return answer;
+            }
+
+            const result = await this.engine.validateLicense(answer.license);
+            if (result.valid) {
+                await this.store.write(JSON.stringify({ license_key: licenseKey, license: answer.license }));
+            }
+            return { ...result, source: 'server', seats: answer.seats };
+        }
+
+        // Ask the server whether the cached license still holds its seat, then
+        // validate locally (hardware binding is only checkable here)
+        async validate() {
+            const cached = await this.cached();
+            if (!cached) {
+                return failure(ERROR_CODES.NOT_INITIALIZED, 'No activated license');
+            }
+            let answer;
+            try {
+                answer = await this.post('/validate', { license: cached.license });
+            } catch (error) {
+                return await this.validateCached(error);
+            }
+            if (answer.valid === false) {
+                if (DROP_CACHE_CODES.includes(answer.code)) {
+                    await this.store.clear();
+                }
+                return answer;
+            }
+            const result = await this.engine.validateLicense(cached.license);
+            return { ...result, source: 'server' };
+        }
+
+        // Free this machine's seat. Needs the server; the cache is kept when
+        // it can't be reached.
+        async deactivate() {
+            const cached = await this.cached();
+            if (!cached) {
+                return failure(ERROR_CODES.NOT_INITIALIZED, 'No activated license');
+            }
+            let answer;
+            try {
+                answer = await this.post('/deactivate', {
+                    license_key: cached.license_key,
+                    hardware_hash: JSON.parse(cached.license).hardware_hash
+                });
+            } catch (error) {
+                return failure(ERROR_CODES.SERVER_UNAVAILABLE, `Cannot deactivate offline: ${error.message}`);
+            }
+            if (answer.valid === false) {
+                return answer;
+            }
+            await this.store.clear();
+            this.engine.currentLicense = null;
+            return { valid: true, released: answer.released, seats: answer.seats };
+        }
+    }
+
+    class LeaseClient extends ServerClient {
+        // options: ServerClient options plus { licenseKey (floating key),
+        //            heartbeatInterval (ms, default half the lease),
+        //            retryInterval (ms, default 30s while offline),
+        //            releaseOnExit (default true), onChange(result) - after each heartbeat }
+        constructor(options = {}) {
+            super(options, { storageKey: 'licensecore.lease', fileName: 'lease.json' });
+            if (!options.licenseKey) {
+                throw new Error('LeaseClient needs a licenseKey');
+            }
+            this.licenseKey = options.licenseKey;
+            this.heartbeatInterval = options.heartbeatInterval ?? null;
+            this.retryInterval = options.retryInterval ?? DEFAULT_RETRY_INTERVAL;
+            this.onChange = options.onChange || (() => {});
+            this.lease = null; // Signed lease (JSON text) currently held
+            this.timer = null;
+            if (options.releaseOnExit !== false) {
+                this.releaseOnExit();
+            }
+        }
+
+        async acquire() {
+            const hwid = await this.engine.refreshHwid();
+            let answer;
+            try {
+                answer = await this.post('/lease', { license_key: this.licenseKey, hardware_hash: hwid });
+            } catch (error) {
+                return await this.useCached(error);
+            }
+            if (answer.valid === false) {
+                return answer;
+            }
+            return await this.accept(answer);
+        }
+
+        // Renew the lease. A lease the server has already given up is re-acquired
+        // when a seat is free.
+        async heartbeat() {
+            if (!this.lease) {
+                return failure(ERROR_CODES.NOT_INITIALIZED, 'No lease held');
+            }
+            let answer;
+            try {
+                answer = await this.post('/heartbeat', {
+                    license_key: this.licenseKey,
+                    lease_id: JSON.parse(this.lease).lease_id
+                });
+            } catch (error) {
+                return await this.useCached(error);
+            }
+            if (answer.valid === false) {
+                await this.drop();
+                return answer.code === ERROR_CODES.LICENSE_EXPIRED ? await this.acquire() : answer;
+            }
+            return await this.accept(answer);
+        }
+
+        // Give the seat back. Like deactivate(), this needs the server: offline
+        // the lease stays cached and the server frees the seat once it lapses.
+        async release() {
+            this.stop();
+            if (!this.lease) {
+                return { valid: true, released: false };
+            }
+            let answer;
+            try {
+                answer = await this.post('/release', {
+                    license_key: this.licenseKey,
+                    lease_id: JSON.parse(this.lease).lease_id
+                });
+            } catch (error) {
+                return failure(ERROR_CODES.SERVER_UNAVAILABLE, `Cannot release offline: ${error.message}`);
+            }
+            if (answer.valid === false) {
+                return answer;
+            }
+            await this.drop();
+            return { valid: true, released: answer.released, seats: answer.seats };
+        }
+
+        hasFeature(feature) {
+            return !!this.lease && this.engine.hasFeature(feature);
+        }
+
+        // Validate a lease from the server, cache it and plan the next heartbeat
+        async accept(answer) {
+            const result = await this.engine.validateLicense(answer.license);
+            if (!result.valid) {
+                await this.drop();
+                return result;
+            }
+            this.lease = answer.license;
+            await this.store.write(answer.license);
+            this.schedule(result.lease, false);
+            return { ...result, source: 'server', seats: answer.seats };
+        }
+
+        // Server unreachable: carry on with the cached lease while it (and its
+        // offline tolerance) lasts, retrying the server meanwhile
+        async useCached(reason) {
+            const lease = this.lease || await this.store.read().catch(() => null);
+            if (!lease) {
+                return failure(ERROR_CODES.SERVER_UNAVAILABLE,
+                    `License server unavailable and no cached lease: ${reason.message}`);
+            }
+            const result = await this.engine.validateLicense(lease);
+            if (!result.valid) {
+                await this.drop();
+                return result;
+            }
+            this.lease = lease;
+            this.schedule(result.lease, true);
+            return { ...result, source: 'cache', offline: true };
+        }
+
+        async drop() {
+            this.stop();
+            if (this.lease && this.engine.currentLicense &&
+                this.engine.currentLicense.lease_id === JSON.parse(this.lease).lease_id) {
+                this.engine.currentLicense = null;
+            }
+            this.lease = null;
+            await this.store.clear();
+        }
+
+        schedule(lease, offline) {
+            this.stop();
+            const untilExpiry = new Date(lease.expires_at).getTime() - Date.now();
+            const delay = offline
+                ? this.retryInterval
+                : this.heartbeatInterval ?? Math.max(1000, untilExpiry / 2);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.heartbeat().then(result => this.onChange(result), error => this.onChange(
+                    failure(ERROR_CODES.VALIDATION_FAILED, error.message)));
+            }, delay);
+            // Don't keep a Node process alive just for the heartbeat
+            if (this.timer && typeof this.timer.unref === 'function') {
+                this.timer.unref();
+            }
+        }
+
+        stop() {
+            if (this.timer) {
+                clearTimeout(this.timer);
+                this.timer = null;
+            }
+        }
+
+        // Browsers: send /release as a beacon when the page goes away. Node:
+        // release once the event loop drains (signal handlers should call
+        // release() themselves).
+        releaseOnExit() {
+            if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+                window.addEventListener('pagehide', () => {
+                    if (this.lease && typeof navigator !== 'undefined' && navigator.sendBeacon) {
+                        navigator.sendBeacon(`${this.serverUrl}/release`, JSON.stringify({
+                            license_key: this.licenseKey,
+                            lease_id: JSON.parse(this.lease).lease_id
+                        }));
+                    }
+                });
+            } else if (typeof process !== 'undefined' && typeof process.once === 'function') {
+                process.once('beforeExit', () => {
+                    if (this.lease) this.release().catch(() => {});
+                });
+            }
+        }
+    }
+
+    return {
+        DEFAULT_TIMEOUT,
+        ActivationClient,
+        LeaseClient
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseClient;
+} else {
+    globalThis.LicenseClient = LicenseClient;
+}
@@ -0,0 +1,177 @@
+// LicenseCore++ Clock Rollback Guard
+// Keeps a signed "last seen time" high-water mark so that setting the system
+// clock back doesn't revive an expired license. The mark lives in IndexedDB
+// or localStorage in the browser and in a file under Node.
+//
+// The mark is { time, signature } with an HMAC-SHA256 over a local secret,
+// never a public key. A mark that fails its signature check counts as
+// tampering. A second record notes the first use, so a mark deleted after
+// that counts as a rollback too. Only an admin token (checked against its
+// SHA-256 hash) can clear both.
+
+const LicenseClockGuard = (() => {
+    const LicenseSigning = typeof module !== 'undefined' && module.exports
+        ? require('./license_signing.js')
+        : globalThis.LicenseSigning;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+    const LicenseStorage = typeof module !== 'undefined' && module.exports
+        ? require('./license_storage.js')
+        : globalThis.LicenseStorage;
+
+    const DEFAULT_KEY = 'licensecore.clock';
+    const DEFAULT_TOLERANCE = 60 * 60 * 1000; // 1 hour: NTP corrections, manual fixes
+
+    async function sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Hash to configure as adminTokenHash for a given reset token
+    async function hashAdminToken(token) {
+        return await sha256Hex(`licensecore-admin:${token}`);
+    }
+
+    class ClockGuard {
+        // options: { secret (local secret that signs the mark), tolerance (ms, default 1 hour),
+        //            storage: 'auto' | 'file' | 'indexedDB' | 'localStorage' | 'memory',
+        //            file, storageKey, adminTokenHash, onWarning(message) }
+        // The first-use record goes next to the mark: `<file>.first-use` or `<storageKey>.first-use`.
+        constructor(options = {}) {
+            if (!options.secret) {
+                throw new Error('Clock guard needs a local secret to sign its mark (clockGuard.secret)');
+            }
+            this.secret = options.secret;
+            this.tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+            this.adminTokenHash = options.adminTokenHash || null;
+            this.onWarning = options.onWarning || (() => {});
+            this.store = options.store ||
+                LicenseStorage.createStore(options, { storageKey: DEFAULT_KEY, fileName: 'clock.json' });
+            this.firstUseStore = options.firstUseStore || LicenseStorage.createStore({
+                ...options,
+                file: options.file && `${options.file}.first-use`,
+                storageKey: options.storageKey && `${options.storageKey}.first-use`
+            }, { storageKey: `${DEFAULT_KEY}.first-use`, fileName: 'clock.first-use.json' });
+        }
+
+        async sign(time) {
+            return await LicenseSigning.hmacSha256(`clock:${time}`, this.secret);
+        }
+
+        // { time } for a valid mark, { tampered: true } for a forged one,
+        // { unreadable: true } when storage fails, or null when there is none
+        async readMark() {
+            let text;
+            try {
+                text = await this.store.read();
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot read clock mark: ${error.message}`);
+                return { unreadable: true };
+            }
+            if (text == null) return null;
+
+            let mark;
+            try {
+                mark = JSON.parse(text);
+            } catch (error) {
+                return { tampered: true };
+            }
+            if (!mark || !Number.isFinite(mark.time) || mark.signature !== await this.sign(mark.time)) {
+                return { tampered: true };
+            }
+            return { time: mark.time };
+        }
+
+        // Whether a mark was ever written (since the last reset)
+        async usedBefore() {
+            try {
+                return await this.firstUseStore.read() != null;
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot read clock first-use record: ${error.message}`);
+                return false;
+            }
+        }
+
+        async recordFirstUse(time) {
+            try {
+                await this.firstUseStore.write(JSON.stringify({ time }));
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot store clock first-use record: ${error.message}`);
+            }
+        }
+
+        async writeMark(time) {
+            try {
+                await this.store.write(JSON.stringify({ time, signature: await this.sign(time) }));
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot store clock mark: ${error.message}`);
+            }
+        }
+
+        // Check `now` against the mark and advance the mark. Returns a
+        // CLOCK_ROLLBACK failure or { valid: true, lastSeen }
+        async observe(now = Date.now()) {
+            const mark = await this.readMark();
+            if (mark && mark.unreadable) {
+                return { valid: true, lastSeen: now };
+            }
+            if (mark && mark.tampered) {
+                return failure(ERROR_CODES.CLOCK_ROLLBACK, 'Clock high-water mark has been tampered with',
+                    { reason: 'tampered' });
+            }
+            // Deleting the mark is not a way to start over; that takes the admin token
+            if (!mark && await this.usedBefore()) {
+                return failure(ERROR_CODES.CLOCK_ROLLBACK, 'Clock high-water mark is missing',
+                    { reason: 'missing' });
+            }
+            if (mark && now + this.tolerance < mark.time) {
+                return failure(ERROR_CODES.CLOCK_ROLLBACK, 'System clock is earlier than the last recorded time', {
+                    reason: 'rollback',
+                    last_seen: new Date(mark.time).toISOString(),
+                    now: new Date(now).toISOString(),
+                    tolerance_seconds: Math.round(this.tolerance / 1000)
+                });
+            }
+            if (!mark || now > mark.time) {
+                await this.writeMark(now);
+            }
+            if (!mark) {
+                await this.recordFirstUse(now);
+            }
+            return { valid: true, lastSeen: Math.max(now, mark ? mark.time : now) };
+        }
+
+        async lastSeen() {
+            const mark = await this.readMark();
+            return mark && Number.isFinite(mark.time) ? mark.time : null;
+        }
+
+        // Clear the mark and the first-use record (support case: the clock really
+        // was wrong, or the mark was damaged). Throws ValidationException for a wrong token.
+        async reset(adminToken) {
+            if (!this.adminTokenHash || typeof adminToken !== 'string' ||
+                await hashAdminToken(adminToken) !== this.adminTokenHash) {
+                throw new LicenseErrors.ValidationException('Invalid admin token', { reason: 'admin_token' });
+            }
+            await this.store.clear();
+            await this.firstUseStore.clear();
+        }
+    }
+
+    return {
+        DEFAULT_TOLERANCE,
+        ClockGuard,
+        hashAdminToken
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseClockGuard;
+} else {
+    globalThis.LicenseClockGuard = LicenseClockGuard;
+}
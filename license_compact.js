@@ -0,0 +1,407 @@
+// LicenseCore++ Compact License Keys
+// Human-typable form of a signed license for phone support and installers:
+//
+//   7G2KX-0M4AP-...-Q81ZC
+//
+// The license is packed into a small binary payload (tagged fields, dates as
+// Unix seconds, fingerprint HWIDs as raw bytes, common strings from a fixed
+// dictionary), HMAC signatures are truncated to 80 bits, and the bytes are
+// written in Crockford base32. Each group holds four data characters and a
+// check character (Luhn mod 32 over the group and its position), so a typo is
+// reported with the group it is in.
+//
+// Decoding gives back the JSON license for the supported fields: user_id,
+// license_id, issued_at, expiry, not_before, hardware_hash, plain feature
+// names, version, kid, product and the demo watermark fields. Anything else
+// (entitlement objects, activation and lease fields) can't be encoded.
+
+const LicenseCompact = (() => {
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+    const LicenseSigning = typeof module !== 'undefined' && module.exports
+        ? require('./license_signing.js')
+        : globalThis.LicenseSigning;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+
+    const FORMAT_VERSION = 1;
+    const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford: no I, L, O, U
+    const GROUP_DATA = 4; // Data characters per group, plus one check character
+    const MIN_KEY_LENGTH = 4 * (GROUP_DATA + 1); // Undashed keys: shorter can't hold a signature
+
+    // Part of format version 1 - append only
+    const ALGORITHMS = [
+        LicenseSigning.ALGORITHMS.HMAC_SHA256,
+        LicenseSigning.ALGORITHMS.ED25519,
+        LicenseSigning.ALGORITHMS.ECDSA_P256
+    ];
+    const SIGNATURE_BYTES = {
+        [LicenseSigning.ALGORITHMS.HMAC_SHA256]: LicenseSigning.TRUNCATED_HMAC_LENGTH / 2,
+        [LicenseSigning.ALGORITHMS.ED25519]: 64,
+        [LicenseSigning.ALGORITHMS.ECDSA_P256]: 64
+    };
+    const DICTIONARY = [
+        'basic', 'premium', 'enterprise', 'api', 'analytics', 'support', 'pro',
+        '🔬 DEMO-ONLY',
+        'This is a demo license with public keys - not for production use'
+    ];
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+
+    function malformed(message, details) {
+        return new LicenseErrors.MalformedLicenseException(message, details);
+    }
+
+    // Unsigned LEB128; arithmetic rather than bit operations so values above
+    // 2^32 (millisecond license numbers) survive
+    function writeVarint(out, value) {
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) byte += 128;
+            out.push(byte);
+        } while (value > 0);
+    }
+
+    class Reader {
+        constructor(bytes) {
+            this.bytes = bytes;
+            this.offset = 0;
+        }
+
+        byte() {
+            if (this.offset >= this.bytes.length) {
+                throw malformed('License key is incomplete');
+            }
+            return this.bytes[this.offset++];
+        }
+
+        take(length) {
+            if (this.offset + length > this.bytes.length) {
+                throw malformed('License key is incomplete');
+            }
+            const slice = this.bytes.slice(this.offset, this.offset + length);
+            this.offset += length;
+            return slice;
+        }
+
+        varint() {
+            let value = 0;
+            let scale = 1;
+            for (;;) {
+                const byte = this.byte();
+                value += (byte % 128) * scale;
+                if (byte < 128) return value;
+                scale *= 128;
+                if (scale > Number.MAX_SAFE_INTEGER) {
+                    throw malformed('License key contains an invalid number');
+                }
+            }
+        }
+    }
+
+    // Field codecs: accepts(value) decides whether the value can be encoded
+    // losslessly this way
+    const STRING = {
+        accepts: value => typeof value === 'string',
+        write(out, value) {
+            const index = DICTIONARY.indexOf(value);
+            if (index >= 0) {
+                writeVarint(out, index * 2 + 1);
+                return;
+            }
+            const bytes = encoder.encode(value);
+            writeVarint(out, bytes.length * 2);
+            out.push(...bytes);
+        },
+        read(reader) {
+            const head = reader.varint();
+            if (head % 2) {
+                const value = DICTIONARY[(head - 1) / 2];
+                if (value === undefined) {
+                    throw malformed('License key uses an unknown dictionary entry');
+                }
+                return value;
+            }
+            try {
+                return decoder.decode(reader.take(head / 2));
+            } catch (error) {
+                throw malformed('License key contains invalid text');
+            }
+        }
+    };
+
+    const STRINGS = {
+        accepts: value => Array.isArray(value) && value.every(STRING.accepts),
+        write(out, values) {
+            writeVarint(out, values.length);
+            values.forEach(value => STRING.write(out, value));
+        },
+        read(reader) {
+            return Array.from({ length: reader.varint() }, () => STRING.read(reader));
+        }
+    };
+
+    const TIME = {
+        accepts: value => typeof value === 'string' && Date.parse(value) >= 0,
+        write: (out, value) => writeVarint(out, Math.floor(Date.parse(value) / 1000)),
+        read: reader => LicenseCanonical.formatDate(new Date(reader.varint() * 1000))
+    };
+
+    const UINT = {
+        accepts: value => Number.isSafeInteger(value) && value >= 0,
+        write: writeVarint,
+        read: reader => reader.varint()
+    };
+
+    const FLAG = {
+        accepts: value => value === true,
+        write() {},
+        read: () => true
+    };
+
+    // "lic-1720000000000" as the number alone
+    const LICENSE_NUMBER = {
+        accepts: value => typeof value === 'string' && /^lic-[1-9]\d{0,15}$/.test(value) &&
+            Number.isSafeInteger(Number(value.slice(4))),
+        write: (out, value) => writeVarint(out, Number(value.slice(4))),
+        read: reader => `lic-${reader.varint()}`
+    };
+
+    // Fingerprint HWIDs (license_fingerprint.js): dash-separated 8-hex components
+    const FINGERPRINT = {
+        accepts: value => typeof value === 'string' && /^[0-9a-f]{8}(-[0-9a-f]{8}){0,31}$/.test(value),
+        write(out, value) {
+            const components = value.split('-');
+            out.push(components.length);
+            components.forEach(component => {
+                for (let i = 0; i < 8; i += 2) out.push(parseInt(component.substr(i, 2), 16));
+            });
+        },
+        read(reader) {
+            return Array.from({ length: reader.byte() }, () => Array.from(reader.take(4))
+                .map(b => b.toString(16).padStart(2, '0')).join('')).join('-');
+        }
+    };
+
+    // Tag numbers are part of format version 1. Where a field has two codecs
+    // the first one that accepts the value is used.
+    const FIELDS = [
+        { tag: 1, field: 'user_id', codec: STRING },
+        { tag: 2, field: 'license_id', codec: LICENSE_NUMBER },
+        { tag: 3, field: 'license_id', codec: STRING },
+        { tag: 4, field: 'expiry', codec: TIME },
+        { tag: 5, field: 'issued_at', codec: TIME },
+        { tag: 6, field: 'not_before', codec: TIME },
+        { tag: 7, field: 'hardware_hash', codec: FINGERPRINT },
+        { tag: 8, field: 'hardware_hash', codec: STRING },
+        { tag: 9, field: 'features', codec: STRINGS },
+        { tag: 10, field: 'version', codec: UINT },
+        { tag: 11, field: 'kid', codec: STRING },
+        { tag: 12, field: 'product', codec: STRING },
+        { tag: 13, field: 'demo_mode', codec: FLAG },
+        { tag: 14, field: 'watermark', codec: STRING },
+        { tag: 15, field: 'warning', codec: STRING }
+    ];
+    const SIGNATURE_TAG = 0; // Always last
+
+    function toBase32(bytes) {
+        let text = '';
+        let value = 0;
+        let bits = 0;
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                text += ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+            value &= (1 << bits) - 1;
+        }
+        if (bits > 0) {
+            text += ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return text;
+    }
+
+    function fromBase32(text) {
+        const bytes = [];
+        let value = 0;
+        let bits = 0;
+        for (const char of text) {
+            value = (value << 5) | ALPHABET.indexOf(char);
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+            value &= (1 << bits) - 1;
+        }
+        return new Uint8Array(bytes);
+    }
+
+    // Luhn mod 32 over the group's position and its data characters
+    function checkCharacter(data, group) {
+        const input = ALPHABET[group % 32] + data;
+        let factor = 2;
+        let sum = 0;
+        for (let i = input.length - 1; i >= 0; i--) {
+            const product = factor * ALPHABET.indexOf(input[i]);
+            sum += Math.floor(product / 32) + (product % 32);
+            factor = factor === 2 ? 1 : 2;
+        }
+        return ALPHABET[(32 - (sum % 32)) % 32];
+    }
+
+    // Upper case, no whitespace, look-alikes mapped to the alphabet
+    function normalizeKey(key) {
+        return String(key).toUpperCase().replace(/\s+/g, '')
+            .replace(/O/g, '0').replace(/[IL]/g, '1');
+    }
+
+    // Plausibly a compact key rather than JSON or stray text: dashed groups of
+    // five (the last may be shorter, so a typo is still reported by group), or
+    // at least MIN_KEY_LENGTH characters that start with the format header
+    function isCompactKey(text) {
+        if (typeof text !== 'string') {
+            return false;
+        }
+        if (/^\s*[0-9A-Za-z]{5}(\s*-\s*[0-9A-Za-z]{5})*\s*-\s*[0-9A-Za-z]{2,5}\s*$/.test(text)) {
+            return true;
+        }
+        const normalized = normalizeKey(text).replace(/-/g, '');
+        if (normalized.length < MIN_KEY_LENGTH || [...normalized].some(char => !ALPHABET.includes(char))) {
+            return false;
+        }
+        const header = fromBase32(normalized.slice(0, GROUP_DATA));
+        return header[0] === FORMAT_VERSION && header[1] < ALGORITHMS.length;
+    }
+
+    // Signed license (object or JSON text) -> compact key.
+    // Throws MalformedLicenseException for fields that can't be encoded.
+    function encode(input) {
+        const license = typeof input === 'string' ? JSON.parse(input) : input;
+        const alg = LicenseSigning.licenseAlgorithm(license);
+        if (!ALGORITHMS.includes(alg)) {
+            throw malformed(`Signature algorithm not supported in compact keys: ${alg}`);
+        }
+        const isHmac = alg === LicenseSigning.ALGORITHMS.HMAC_SHA256;
+        const signature = isHmac ? license.hmac_signature : license.signature;
+        const signaturePattern = isHmac ? /^([0-9a-f]{64}|[0-9a-f]{20})$/ : /^[0-9a-f]{128}$/;
+        if (typeof signature !== 'string' || !signaturePattern.test(signature)) {
+            throw malformed('Only licenses with a canonical signature can be encoded as compact keys');
+        }
+
+        const bytes = [FORMAT_VERSION, ALGORITHMS.indexOf(alg)];
+        const unsupported = [];
+        for (const [field, value] of Object.entries(license)) {
+            if (value === undefined || field === 'signature_alg' || LicenseCanonical.SIGNATURE_FIELDS.includes(field)) {
+                continue;
+            }
+            const spec = FIELDS.find(entry => entry.field === field && entry.codec.accepts(value));
+            if (!spec) {
+                unsupported.push(field);
+                continue;
+            }
+            bytes.push(spec.tag);
+            spec.codec.write(bytes, value);
+        }
+        if (unsupported.length) {
+            throw malformed(`Not supported in compact keys: ${unsupported.join(', ')}`, { fields: unsupported });
+        }
+        bytes.push(SIGNATURE_TAG);
+        const signatureHex = signature.substring(0, SIGNATURE_BYTES[alg] * 2);
+        for (let i = 0; i < signatureHex.length; i += 2) {
+            bytes.push(parseInt(signatureHex.substr(i, 2), 16));
+        }
+
+        const data = toBase32(bytes);
+        const groups = [];
+        for (let i = 0; i < data.length; i += GROUP_DATA) {
+            const chunk = data.substring(i, i + GROUP_DATA);
+            groups.push(chunk + checkCharacter(chunk, groups.length));
+        }
+        return groups.join('-');
+    }
+
+    // Compact key -> license object. Accepts lower case, spaces and the usual
+    // look-alikes (O for 0, I and L for 1); dashes may be left out.
+    // Throws MalformedLicenseException naming the group that has a typo.
+    function decode(key) {
+        const text = normalizeKey(key);
+        const groups = text.includes('-')
+            ? text.split('-').filter(Boolean)
+            : text.match(/.{1,5}/g) || [];
+        if (!groups.length) {
+            throw malformed('License key is empty');
+        }
+
+        let data = '';
+        groups.forEach((group, index) => {
+            const number = index + 1;
+            const invalid = [...group].find(char => !ALPHABET.includes(char));
+            if (invalid) {
+                throw malformed(`License key has an invalid character "${invalid}" in group ${number} (${group})`,
+                    { reason: 'typo', group: number });
+            }
+            const last = index === groups.length - 1;
+            if (group.length !== GROUP_DATA + 1 && !(last && group.length >= 2)) {
+                throw malformed(`License key group ${number} (${group}) has ${group.length} characters, expected ${GROUP_DATA + 1}`,
+                    { reason: 'typo', group: number });
+            }
+            const chunk = group.slice(0, -1);
+            if (checkCharacter(chunk, index) !== group.slice(-1)) {
+                throw malformed(`License key has a typo in group ${number} (${group})`, { reason: 'typo', group: number });
+            }
+            data += chunk;
+        });
+
+        const reader = new Reader(fromBase32(data));
+        if (reader.byte() !== FORMAT_VERSION) {
+            throw malformed('Unsupported compact key format');
+        }
+        const alg = ALGORITHMS[reader.byte()];
+        if (!alg) {
+            throw malformed('Unsupported signature algorithm in compact key');
+        }
+
+        const license = {};
+        for (let tag = reader.byte(); tag !== SIGNATURE_TAG; tag = reader.byte()) {
+            const spec = FIELDS.find(entry => entry.tag === tag);
+            if (!spec) {
+                throw malformed(`License key contains an unknown field (${tag})`);
+            }
+            license[spec.field] = spec.codec.read(reader);
+        }
+        const signature = Array.from(reader.take(SIGNATURE_BYTES[alg]))
+            .map(b => b.toString(16).padStart(2, '0')).join('');
+        if (reader.offset !== reader.bytes.length) {
+            throw malformed('License key is longer than its contents');
+        }
+
+        if (alg === LicenseSigning.ALGORITHMS.HMAC_SHA256) {
+            license.hmac_signature = signature;
+        } else {
+            license.signature_alg = alg;
+            license.signature = signature;
+        }
+        return license;
+    }
+
+    return {
+        FORMAT_VERSION,
+        isCompactKey,
+        encode,
+        decode
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseCompact;
+} else {
+    globalThis.LicenseCompact = LicenseCompact;
+}
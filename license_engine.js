@@ -0,0 +1,1084 @@
+// LicenseCore++ Headless Engine
+// DOM-free generate / validate / hasFeature / HWID for browsers, bundlers and Node.
+// Runs the C++ core from license_core.wasm when it loads, the JavaScript
+// implementation otherwise. The demo page (wasm.js) is a consumer of this file.
+//
+// Node:     const { createLicenseCore } = require('./license_engine.js');
+// ESM:      import { createLicenseCore } from './license_engine.mjs';
+// Browser:  <script src="license_engine.js"> exposes window.LicenseEngine
+
+const LicenseEngine = (() => {
+    const isNode = typeof module !== 'undefined' && module.exports &&
+        typeof process !== 'undefined' && !!process.versions?.node;
+
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+    const LicenseSigning = typeof module !== 'undefined' && module.exports
+        ? require('./license_signing.js')
+        : globalThis.LicenseSigning;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+    const LicenseKeyring = typeof module !== 'undefined' && module.exports
+        ? require('./license_keyring.js')
+        : globalThis.LicenseKeyring;
+    const LicenseFingerprint = typeof module !== 'undefined' && module.exports
+        ? require('./license_fingerprint.js')
+        : globalThis.LicenseFingerprint;
+    const LicenseFingerprintCache = typeof module !== 'undefined' && module.exports
+        ? require('./license_fingerprint_cache.js')
+        : globalThis.LicenseFingerprintCache;
+    const LicenseFeatures = typeof module !== 'undefined' && module.exports
+        ? require('./license_features.js')
+        : globalThis.LicenseFeatures;
+    const LicenseClockGuard = typeof module !== 'undefined' && module.exports
+        ? require('./license_clock_guard.js')
+        : globalThis.LicenseClockGuard;
+    const LicenseRevocation = typeof module !== 'undefined' && module.exports
+        ? require('./license_revocation.js')
+        : globalThis.LicenseRevocation;
+    const LicenseActivation = typeof module !== 'undefined' && module.exports
+        ? require('./license_activation.js')
+        : globalThis.LicenseActivation;
+    const LicenseCompact = typeof module !== 'undefined' && module.exports
+        ? require('./license_compact.js')
+        : globalThis.LicenseCompact;
+    const LicenseEnvelope = typeof module !== 'undefined' && module.exports
+        ? require('./license_envelope.js')
+        : globalThis.LicenseEnvelope;
+    const LicenseSchema = typeof module !== 'undefined' && module.exports
+        ? require('./license_schema.js')
+        : globalThis.LicenseSchema;
+    const LicenseEvents = typeof module !== 'undefined' && module.exports
+        ? require('./license_events.js')
+        : globalThis.LicenseEvents;
+    const LicenseRateLimit = typeof module !== 'undefined' && module.exports
+        ? require('./license_rate_limit.js')
+        : globalThis.LicenseRateLimit;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const DEFAULT_EXPIRING_DAYS = 7;
+
+    const DEFAULT_LIMITS = {
+        maxLicensesPerHour: 10,
+        maxFeaturesPerLicense: 3,
+        maxExpiryDays: 7,
+        watermark: "🔬 DEMO-ONLY"
+    };
+
+    class LicenseCoreEngine {
+        // options: { secretKey, signing: { alg, privateKey, publicKey },
+        //            keyring: Keyring | { current, keys } - rotating keys with kids, see
+        //              license_keyring.js (replaces secretKey / signing for licenses),
+        //            rejectCompromisedKeys - refuse licenses signed by compromised keys,
+        //            productKey - opens encrypted licenses and seals them with the
+        //              `encrypt` issue option, see license_envelope.js,
+        //            demoMode, limits, onWarning(message),
+        //            rateLimit: { limit, window (ms), storage, file, storageKey } | false
+        //              - persistent issuance limit, see license_rate_limit.js (on in demo
+        //              mode at limits.maxLicensesPerHour, off otherwise),
+        //            hwidRequiredMatches - k of n fingerprint components (default n - 1),
+        //            hwidCache: { enabled, lifetime (ms), persist } - see license_fingerprint_cache.js,
+        //            gracePeriodDays - still valid this long after expiry (default 0),
+        //            clockSkewSeconds - tolerance for expiry / not_before / issued_at (default 300),
+        //            clockGuard: true | { tolerance (ms), storage, file, adminTokenHash,
+        //              secret (defaults to secretKey; required in public-key mode) }
+        //              - clock rollback detection, see license_clock_guard.js (off by default),
+        //            revocation: { source (file, URL or list), ttl (ms), storage, file, storageKey }
+        //              - see license_revocation.js,
+        //            on: { event: listener } - lifecycle listeners, subscribed before init()
+        //              so they see `ready` (see license_events.js),
+        //            expiringDays - `expiring` fires when fewer days remain (default 7, 0 = off) }
+        constructor(options = {}) {
+            this.events = new LicenseEvents.Emitter({
+                onError: (error, event) => this.onWarning(`⚠️ License ${event} listener failed: ${error.message}`)
+            });
+            Object.entries(options.on || {}).forEach(([event, listener]) => this.events.on(event, listener));
+            this.expiringDays = options.expiringDays ?? DEFAULT_EXPIRING_DAYS;
+            this.grantedFeatures = [];
+
+            this.secretKey = options.secretKey || null;
+            this.signatureAlg = LicenseSigning.ALGORITHMS.HMAC_SHA256;
+            this.privateKey = null; // Issuer side only (public-key modes)
+            this.publicKey = null;
+            this.isDemoMode = !!options.demoMode;
+            this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+            this.onWarning = options.onWarning || (() => {});
+            this.useWasm = false;
+            this.wasmModule = null;
+            this.wasmManager = null;
+            this.currentHwid = null;
+            this.hwidComponents = null;
+            this.hwidRequiredMatches = options.hwidRequiredMatches ?? null;
+            this.hwidCache = new LicenseFingerprintCache.FingerprintCache(options.hwidCache);
+            this.gracePeriodMs = (options.gracePeriodDays ?? 0) * DAY_MS;
+            this.clockSkewMs = (options.clockSkewSeconds ?? 300) * 1000;
+            this.currentLicense = null;
+            this.pendingActivation = null; // Offline activation request awaiting its response
+
+            this.rateLimiter = createRateLimiter(options, this.onWarning);
+
+            if (options.signing) {
+                this.configureSigning(options.signing);
+            }
+
+            this.keyring = null;
+            this.rejectCompromisedKeys = !!options.rejectCompromisedKeys;
+            this.productKey = options.productKey || null;
+            if (options.keyring) {
+                this.useKeyring(options.keyring);
+            }
+
+            // Revocation lists are verified with the same keys as licenses: by kid
+            // through the keyring when there is one, so a rotation doesn't orphan
+            // a list signed with the retired key
+            this.revocations = new LicenseRevocation.RevocationChecker({
+                ...options.revocation,
+                keys: () => this.keyring || this.signingKeys(),
+                rejectCompromised: this.rejectCompromisedKeys,
+                onWarning: this.onWarning
+            });
+
+            this.clockGuard = null;
+            if (options.clockGuard) {
+                const guardOptions = options.clockGuard === true ? {} : options.clockGuard;
+                // Anyone holding the public key could forge a mark signed with it,
+                // so validators in public-key mode must pass clockGuard.secret
+                this.clockGuard = new LicenseClockGuard.ClockGuard({
+                    onWarning: this.onWarning,
+                    ...guardOptions,
+                    secret: guardOptions.secret || this.secretKey
+                });
+            }
+        }
+
+        // Load the WASM core, falling back to JavaScript on any failure.
+        // options: { wasm: false } to force JavaScript, plus one of
+        //   wasmBinary   - Buffer / ArrayBuffer / Uint8Array with license_core.wasm
+        //   wasmPath     - file path (Node) to license_core.wasm
+        //   wasmUrl      - URL (browser) to license_core.wasm
+        //   moduleFactory - the LicenseCoreModule factory from license_core.js
+        //                   (defaults to require() in Node, the global in browsers)
+        async init(options = {}) {
+            if (options.wasm !== false) {
+                try {
+                    await this.loadWasm(options);
+                } catch (error) {
+                    this.wasmError = error;
+                }
+            }
+
+            if (!this.useWasm) {
+                await this.refreshHwid();
+            }
+            const engine = this.useWasm ? 'wasm' : 'js';
+            this.events.emit('ready', { engine, hwid: this.currentHwid, error: this.wasmError || null });
+            return { engine, error: this.wasmError };
+        }
+
+        // Lifecycle events (see license_events.js). on / once return a
+        // function that unsubscribes.
+        on(event, listener) {
+            return this.events.on(event, listener);
+        }
+
+        once(event, listener) {
+            return this.events.once(event, listener);
+        }
+
+        off(event, listener) {
+            this.events.off(event, listener);
+        }
+
+        // Every assignment (detection, setHwid, the WASM core, callers) goes
+        // through here, so a new HWID is always reported
+        get currentHwid() {
+            return this.hwidValue;
+        }
+
+        set currentHwid(hwid) {
+            const previous = this.hwidValue;
+            this.hwidValue = hwid;
+            if (previous && hwid && previous !== hwid) {
+                this.events.emit('hwidChanged', { previous, hwid });
+            }
+        }
+
+        get currentLicense() {
+            return this.licenseValue;
+        }
+
+        // Setting the license directly forgets the text it was validated from
+        set currentLicense(license) {
+            this.licenseValue = license;
+            this.currentLicenseSource = null;
+            this.updateGrantedFeatures();
+        }
+
+        // Names of the current license's unexpired features; emits featureChanged
+        // when they differ from the last check
+        updateGrantedFeatures(now = new Date()) {
+            const features = LicenseFeatures.entitlements(this.currentLicense, now, this.graceMsFor(this.currentLicense))
+                .filter(feature => !feature.expired)
+                .map(feature => feature.name);
+            const added = features.filter(name => !this.grantedFeatures.includes(name));
+            const removed = this.grantedFeatures.filter(name => !features.includes(name));
+            this.grantedFeatures = features;
+            if (added.length || removed.length) {
+                this.events.emit('featureChanged', { features, added, removed });
+            }
+            return features;
+        }
+
+        // validated / invalid / expiring / expired for a validateLicense() result
+        reportValidation(result) {
+            if (!result.valid) {
+                this.events.emit('invalid', result);
+                if (result.code === ERROR_CODES.LICENSE_EXPIRED) {
+                    const details = result.details || {};
+                    this.events.emit('expired', {
+                        license_id: details.license_id ?? null,
+                        expiry: details.expiry ?? null,
+                        inGracePeriod: false,
+                        daysRemaining: 0
+                    });
+                }
+                return;
+            }
+
+            // Entitlements may have lapsed since the license was loaded
+            this.updateGrantedFeatures();
+            this.events.emit('validated', result);
+            const license = this.currentLicense || {};
+            const info = { license_id: license.license_id || null, expiry: license.expiry || null, daysRemaining: result.daysRemaining };
+            if (result.inGracePeriod) {
+                this.events.emit('expired', { ...info, inGracePeriod: true });
+            } else if (license.license_type !== 'lease' && result.daysRemaining < this.expiringDays) {
+                // Leases are renewed by their client long before they run out
+                this.events.emit('expiring', info);
+            }
+        }
+
+        async loadWasm(options = {}) {
+            const factory = options.moduleFactory || defaultModuleFactory();
+            if (typeof factory !== 'function') {
+                throw new Error('LicenseCoreModule not found');
+            }
+
+            const moduleArgs = {};
+            const binary = await readWasmBinary(options);
+            if (binary) {
+                moduleArgs.wasmBinary = binary;
+            } else if (options.wasmUrl) {
+                moduleArgs.locateFile = () => options.wasmUrl;
+            }
+
+            this.wasmModule = await factory(moduleArgs);
+            // The core's own key only feeds the legacy digest on its generate output,
+            // which generateLicenseWasm replaces; public-key mode has none
+            this.wasmManager = new this.wasmModule.LicenseCoreWasm(this.secretKey || '');
+            this.useWasm = true;
+            await this.refreshHwid();
+        }
+
+        // Switch between HMAC-SHA256 and a public-key mode (Ed25519 / ECDSA-P256).
+        // Validators only need publicKey; privateKey stays with the issuer.
+        configureSigning({ alg, privateKey = null, publicKey = null }) {
+            if (alg !== LicenseSigning.ALGORITHMS.HMAC_SHA256 && !LicenseSigning.isAsymmetric(alg)) {
+                throw new Error(`Unsupported signature algorithm: ${alg}`);
+            }
+            this.signatureAlg = alg;
+            this.privateKey = privateKey;
+            this.publicKey = publicKey;
+        }
+
+        // Sign and verify with a keyring from now on. Parts that still take a
+        // single secret (the WASM core, the clock guard) fall back to the
+        // current key when no secretKey was configured.
+        useKeyring(keyring) {
+            this.keyring = keyring instanceof LicenseKeyring.Keyring ? keyring : new LicenseKeyring.Keyring(keyring);
+            const current = this.keyring.current();
+            this.signatureAlg = current.alg;
+            this.secretKey = this.secretKey || current.secretKey || null;
+            this.privateKey = current.privateKey || null;
+            this.publicKey = current.publicKey || null;
+        }
+
+        // Keys of the current signing key (the keyring's current one if there is a keyring)
+        signingKeys() {
+            if (this.keyring) {
+                return LicenseKeyring.signingKeys(this.keyring.current());
+            }
+            return {
+                alg: this.signatureAlg,
+                secretKey: this.secretKey,
+                privateKey: this.privateKey,
+                publicKey: this.publicKey
+            };
+        }
+
+        // Sign the canonical form of a license in place with the configured algorithm
+        async signLicenseData(licenseData) {
+            if (this.keyring) {
+                return await LicenseKeyring.signLicense(licenseData, this.keyring);
+            }
+            return await LicenseSigning.signLicense(licenseData, this.signingKeys());
+        }
+
+        // { valid, alg, kid, status } or a failure. Licenses verified by a
+        // compromised key pass (unless rejectCompromisedKeys) but warn.
+        // options: { truncatedHmac } - the license was decoded from a compact key
+        async verifySignature(license, options = {}) {
+            if (!this.keyring) {
+                return await LicenseSigning.verifyLicense(license, this.signingKeys(), options);
+            }
+            const result = await LicenseKeyring.verifyLicense(license, this.keyring,
+                { rejectCompromised: this.rejectCompromisedKeys, truncatedHmac: options.truncatedHmac });
+            if (result.valid && result.status === LicenseKeyring.STATUS.COMPROMISED) {
+                const subject = LicenseEnvelope.isEnvelope(license) ? 'Encrypted license' : `License ${license.license_id}`;
+                this.onWarning(`⚠️ ${subject} is signed with compromised key ${result.kid}`);
+            }
+            return result;
+        }
+
+        // Take one license from the issuance rate limit (both engines); throws
+        // RateLimitException when the window is used up
+        async checkRateLimit() {
+            return this.rateLimiter ? await this.rateLimiter.consume() : null;
+        }
+
+        // { limit, used, remaining, window, resetAt, retryAfter }, or null without a rate limit
+        async rateLimitStatus() {
+            return this.rateLimiter ? await this.rateLimiter.status() : null;
+        }
+
+        // Apply demo watermark to licenses
+        applyDemoWatermark(licenseData) {
+            if (this.isDemoMode) {
+                licenseData.demo_mode = true;
+                licenseData.watermark = this.limits.watermark;
+                licenseData.warning = "This is a demo license with public keys - not for production use";
+            }
+            return licenseData;
+        }
+
+        // WASM Implementation
+        generateMockHwidWasm() {
+            if (this.wasmManager) {
+                this.wasmManager.generateNewHwid();
+                return this.wasmManager.getCurrentHwid();
+            }
+            return this.generateMockHwid();
+        }
+
+        // Feature names or entitlement objects (see license_features.js), checked
+        // and normalized for issuing
+        prepareFeatures(features) {
+            const problem = LicenseFeatures.findProblem(features);
+            if (problem) {
+                throw new LicenseErrors.MalformedLicenseException(problem.message, problem.details);
+            }
+            return features.map(LicenseFeatures.normalizeFeature);
+        }
+
+        // Issuing options shared by both engines:
+        //   hardwareHash    - bind the license to another machine (issuing tools)
+        //   notBefore       - start of the validity window
+        //   activationNonce - nonce of the offline activation request being answered
+        //   product         - product the license is for
+        //   lease           - { id, expiresAt, offlineToleranceSeconds } makes this a
+        //                     short-lived floating lease (see license_server.js)
+        //   encrypt         - true (with the engine's productKey) or a product key:
+        //                     return the license in a signed, encrypted envelope
+        applyIssueOptions(licenseData, options) {
+            if (options.hardwareHash) {
+                licenseData.hardware_hash = options.hardwareHash;
+            }
+            if (options.notBefore) {
+                licenseData.not_before = this.formatDate(new Date(options.notBefore));
+            }
+            if (options.activationNonce) {
+                licenseData.activation_nonce = options.activationNonce;
+            }
+            if (options.product) {
+                licenseData.product = options.product;
+            }
+            if (options.lease) {
+                licenseData.license_type = 'lease';
+                licenseData.lease_id = options.lease.id;
+                licenseData.expiry = this.formatDate(new Date(options.lease.expiresAt));
+                licenseData.offline_tolerance_seconds = options.lease.offlineToleranceSeconds || 0;
+            }
+            return licenseData;
+        }
+
+        // Issued license as JSON text, sealed in an encrypted envelope when
+        // options.encrypt asks for it
+        async serializeLicense(licenseData, options) {
+            if (!options.encrypt) {
+                return JSON.stringify(licenseData, null, 2);
+            }
+            const productKey = typeof options.encrypt === 'string' ? options.encrypt : this.productKey;
+            const envelope = await LicenseEnvelope.seal(licenseData, productKey);
+            await this.signLicenseData(envelope);
+            return JSON.stringify(envelope, null, 2);
+        }
+
+        // Encrypted envelopes are checked against the license keys, then opened
+        // with the product key. Returns { valid: true, licenseJson, encrypted }
+        // (anything that isn't an envelope passes through) or a failure.
+        async openEnvelope(licenseJson) {
+            let envelope;
+            try {
+                envelope = JSON.parse(licenseJson);
+            } catch (error) {
+                return { valid: true, licenseJson, encrypted: false };
+            }
+            if (!LicenseEnvelope.isEnvelope(envelope)) {
+                return { valid: true, licenseJson, encrypted: false };
+            }
+
+            let verification;
+            try {
+                verification = await this.verifySignature(envelope);
+            } catch (error) {
+                return failure(ERROR_CODES.MALFORMED_LICENSE, error.message);
+            }
+            if (!verification.valid) {
+                return verification;
+            }
+            try {
+                const license = await LicenseEnvelope.open(envelope, this.productKey);
+                return { valid: true, licenseJson: JSON.stringify(license), encrypted: true };
+            } catch (error) {
+                return failure(error.code || ERROR_CODES.CRYPTOGRAPHIC_ERROR, error.message, error.details);
+            }
+        }
+
+        async generateLicenseWasm(userId, features, expiryDays, options = {}) {
+            if (!this.wasmManager) {
+                throw new LicenseErrors.NotInitializedException('WASM module not available');
+            }
+            features = this.prepareFeatures(features);
+            await this.checkRateLimit();
+
+            // Convert JavaScript array to WASM vector (the core only knows names)
+            const wasmFeatures = new this.wasmModule.VectorString();
+            features.forEach(feature => wasmFeatures.push_back(LicenseFeatures.featureName(feature)));
+
+            // The core pastes the user ID into its JSON unescaped; hand it the
+            // escaped form so quotes and backslashes come back out intact
+            const escapedUserId = JSON.stringify(String(userId)).slice(1, -1);
+            const license = this.wasmManager.generateLicense(escapedUserId, wasmFeatures, expiryDays);
+
+            // Clean up WASM vector
+            wasmFeatures.delete();
+
+            // The core signs its own pretty-printed output with a short legacy digest.
+            // Re-sign the canonical form so the license validates on either engine.
+            let licenseData;
+            try {
+                licenseData = JSON.parse(license);
+            } catch (error) {
+                throw new LicenseErrors.MalformedLicenseException(
+                    `WASM core produced an unreadable license: ${error.message}`, { field: 'user_id' });
+            }
+            licenseData.features = features;
+            licenseData.version = LicenseSchema.CURRENT_VERSION;
+            // The core binds to its own HWID; follow setHwid() like the JS engine
+            licenseData.hardware_hash = this.currentHwid || licenseData.hardware_hash;
+            this.applyIssueOptions(licenseData, options);
+            await this.signLicenseData(licenseData);
+
+            this.currentLicense = licenseData;
+            return await this.serializeLicense(licenseData, options);
+        }
+
+        async validateLicenseWasm(licenseJson, options = {}) {
+            if (!this.wasmManager) {
+                throw new LicenseErrors.NotInitializedException('WASM module not available');
+            }
+
+            // The WASM core does not verify signatures. It only knows its own short
+            // legacy digest over its pretty-printed output, which is neither the
+            // canonical payload nor keyring-aware, so every license - whichever engine
+            // issued it - is verified by the shared JS path. Licenses still carrying
+            // the legacy digest are rejected like any other bad signature.
+            return await this.validateLicenseJS(licenseJson, options);
+        }
+
+        // Validity window shared by both engines. `not_before` and `issued_at` may
+        // not be in the future and `expiry` may not have passed, each within the
+        // clock-skew allowance; after expiry the grace period still counts as valid.
+        // Returns a failure or { valid: true, inGracePeriod, daysRemaining } where
+        // daysRemaining counts to the expiry, or to the end of the grace period.
+        checkValidityPeriod(license, now = new Date()) {
+            const time = now.getTime();
+            if (license.not_before != null && time + this.clockSkewMs < new Date(license.not_before).getTime()) {
+                return failure(ERROR_CODES.LICENSE_NOT_YET_VALID, `License not valid before ${license.not_before}`,
+                    { field: 'not_before', not_before: license.not_before });
+            }
+            if (license.issued_at != null && time + this.clockSkewMs < new Date(license.issued_at).getTime()) {
+                return failure(ERROR_CODES.LICENSE_NOT_YET_VALID, 'License issue date is in the future',
+                    { field: 'issued_at', issued_at: license.issued_at });
+            }
+
+            // A lease ends exactly when the server frees its seat, with no skew on top
+            const skewMs = license.license_type === 'lease' ? 0 : this.clockSkewMs;
+            const expiry = new Date(license.expiry).getTime();
+            if (time - skewMs <= expiry) {
+                return { valid: true, inGracePeriod: false, daysRemaining: Math.max(0, Math.floor((expiry - time) / DAY_MS)) };
+            }
+            const graceMs = this.graceMsFor(license);
+            const graceEnd = expiry + graceMs;
+            if (graceMs > 0 && time - skewMs <= graceEnd) {
+                return { valid: true, inGracePeriod: true, daysRemaining: Math.max(0, Math.floor((graceEnd - time) / DAY_MS)) };
+            }
+            return failure(ERROR_CODES.LICENSE_EXPIRED, "License has expired",
+                { license_id: license.license_id ?? null, expiry: license.expiry });
+        }
+
+        // Leases are time-boxed to their expiry plus the offline tolerance the
+        // server signed into them; gracePeriodDays is for ordinary licenses only
+        graceMsFor(license) {
+            if (license && license.license_type === 'lease') {
+                return (Number(license.offline_tolerance_seconds) || 0) * 1000;
+            }
+            return this.gracePeriodMs;
+        }
+
+        // Lease details for validation results, or undefined for other licenses
+        leaseInfo(license, period) {
+            if (!license || license.license_type !== 'lease') {
+                return undefined;
+            }
+            return {
+                lease_id: license.lease_id,
+                expires_at: license.expiry,
+                valid_until: this.formatDate(new Date(new Date(license.expiry).getTime() + this.graceMsFor(license))),
+                offline: period.inGracePeriod
+            };
+        }
+
+        // Load a signed revocation list (object, JSON text, file path or URL).
+        // Later validations reload it from the same source once its ttl passes.
+        async loadRevocationList(source) {
+            return await this.revocations.load(source);
+        }
+
+        async checkRevocation(license) {
+            return await this.revocations.check(license);
+        }
+
+        // Rollback check against the clock guard's high-water mark (when enabled)
+        async checkClock(now = new Date()) {
+            return this.clockGuard ? await this.clockGuard.observe(now.getTime()) : { valid: true };
+        }
+
+        // Clear the clock guard's mark; needs the admin token matching adminTokenHash
+        async resetClockMark(adminToken) {
+            if (!this.clockGuard) {
+                throw new LicenseErrors.NotInitializedException('Clock guard not enabled');
+            }
+            await this.clockGuard.reset(adminToken);
+        }
+
+        validMessage(period, license) {
+            if (license && license.license_type === 'lease') {
+                return period.inGracePeriod
+                    ? 'Lease has expired - running on offline tolerance'
+                    : 'Lease is valid and properly signed!';
+            }
+            return period.inGracePeriod
+                ? `License has expired - grace period, ${period.daysRemaining} day(s) remaining`
+                : "License is valid and properly signed!";
+        }
+
+        // Stable fingerprint of this browser / machine (JavaScript engine)
+        async detectHwid() {
+            try {
+                const fingerprint = await LicenseFingerprint.collect();
+                this.hwidComponents = fingerprint.components;
+                return fingerprint.hwid;
+            } catch (error) {
+                this.onWarning(`⚠️ Hardware fingerprint unavailable, using a session ID: ${error.message}`);
+                this.hwidComponents = null;
+                return this.generateMockHwid();
+            }
+        }
+
+        // Uncached HWID from the active engine (sync for WASM, async for JS)
+        collectHwid() {
+            return this.useWasm ? this.wasmManager.getCurrentHwid() : this.detectHwid();
+        }
+
+        hwidSource() {
+            return this.useWasm ? 'wasm' : 'js';
+        }
+
+        // Current HWID through the fingerprint cache
+        async refreshHwid() {
+            this.currentHwid = await this.hwidCache.get(this.hwidSource(), () => this.collectHwid());
+            return this.currentHwid;
+        }
+
+        // Use a given HWID for hardware checks until the cache entry expires
+        // (simulated hardware changes, CLI --hwid)
+        setHwid(hwid) {
+            this.currentHwid = this.hwidCache.store(this.hwidSource(), hwid);
+            return this.currentHwid;
+        }
+
+        // Compare a licensed HWID with the current one (k-of-n for fingerprints)
+        matchHardware(licensedHwid) {
+            return LicenseFingerprint.compare(licensedHwid, this.currentHwid, this.hwidRequiredMatches);
+        }
+
+        // JavaScript Fallback Implementation
+        // Random per-session ID; used to simulate a hardware change in the demo
+        generateMockHwid() {
+            const agent = typeof navigator !== 'undefined' && navigator.userAgent
+                ? navigator.userAgent
+                : isNode ? `${process.platform}-${process.arch}` : 'unknown';
+            const components = [
+                this.hashString("CPU-" + agent),
+                this.hashString("MAC-" + Math.random().toString(36)),
+                this.hashString("VOL-" + Date.now().toString())
+            ];
+            return components.join("").substring(0, 32);
+        }
+
+        hashString(str) {
+            let hash = 0;
+            for (let i = 0; i < str.length; i++) {
+                const char = str.charCodeAt(i);
+                hash = ((hash << 5) - hash) + char;
+                hash = hash & hash;
+            }
+            return Math.abs(hash).toString(16);
+        }
+
+        async hmacSha256(data, key) {
+            return await LicenseSigning.hmacSha256(data, key);
+        }
+
+        formatDate(date) {
+            return LicenseCanonical.formatDate(date);
+        }
+
+        async generateLicenseJS(userId, features, expiryDays, options = {}) {
+            features = this.prepareFeatures(features);
+
+            await this.checkRateLimit();
+
+            // Limit features in demo mode
+            if (this.isDemoMode) {
+                const maxFeatures = this.limits.maxFeaturesPerLicense;
+                if (features.length > maxFeatures) {
+                    features = features.slice(0, maxFeatures);
+                    this.onWarning(`🚨 Demo limit: Maximum ${maxFeatures} features allowed`);
+                }
+
+                // Limit expiry days
+                const maxExpiry = this.limits.maxExpiryDays;
+                if (expiryDays > maxExpiry) {
+                    expiryDays = maxExpiry;
+                    this.onWarning(`🚨 Demo limit: Maximum ${maxExpiry} days expiry`);
+                }
+            }
+
+            const now = new Date();
+            const expiry = expiryDays === -1 ?
+                new Date('2099-12-31T23:59:59Z') :
+                new Date(now.getTime() + expiryDays * 24 * 60 * 60 * 1000);
+
+            let licenseData = {
+                user_id: userId,
+                license_id: `lic-${Date.now()}`,
+                expiry: this.formatDate(expiry),
+                issued_at: this.formatDate(now),
+                hardware_hash: this.currentHwid,
+                features: features,
+                version: LicenseSchema.CURRENT_VERSION
+            };
+            this.applyIssueOptions(licenseData, options);
+
+            // Apply demo watermark
+            licenseData = this.applyDemoWatermark(licenseData);
+
+            await this.signLicenseData(licenseData);
+
+            this.currentLicense = licenseData;
+            return await this.serializeLicense(licenseData, options);
+        }
+
+        // options: { truncatedHmac } - the license was decoded from a compact key
+        async validateLicenseJS(licenseJson, options = {}) {
+            let license;
+            try {
+                license = JSON.parse(licenseJson);
+            } catch (error) {
+                return failure(ERROR_CODES.JSON_PARSING_ERROR, `JSON parsing error: ${error.message}`);
+            }
+            if (!license || typeof license !== 'object' || Array.isArray(license)) {
+                return failure(ERROR_CODES.MALFORMED_LICENSE, 'License must be a JSON object');
+            }
+
+            // Required fields and their types depend on the license version
+            const schemaProblem = LicenseSchema.findProblem(license);
+            if (schemaProblem) {
+                return failure(schemaProblem.code, schemaProblem.message, schemaProblem.details);
+            }
+
+            let verification;
+            try {
+                verification = await this.verifySignature(license, options);
+            } catch (error) {
+                // Canonicalization rejects values it cannot represent (bad dates, NaN)
+                return failure(ERROR_CODES.MALFORMED_LICENSE, error.message);
+            }
+            if (!verification.valid) {
+                return verification;
+            }
+
+            const revocation = await this.checkRevocation(license);
+            if (!revocation.valid) {
+                return revocation;
+            }
+
+            const now = new Date();
+            const clock = await this.checkClock(now);
+            if (!clock.valid) {
+                return clock;
+            }
+            const period = this.checkValidityPeriod(license, now);
+            if (!period.valid) {
+                return period;
+            }
+
+            await this.refreshHwid();
+            const hardware = this.matchHardware(license.hardware_hash);
+            if (!hardware.match) {
+                return failure(ERROR_CODES.HARDWARE_MISMATCH, "Hardware fingerprint mismatch", {
+                    expected: String(license.hardware_hash).substring(0, 8),
+                    actual: String(this.currentHwid).substring(0, 8),
+                    matched: hardware.matched,
+                    required: hardware.required,
+                    total: hardware.total
+                });
+            }
+
+            this.currentLicense = license;
+
+            // Lapsed features don't invalidate the license, they just stop being granted
+            const features = LicenseFeatures.entitlements(license, now, this.graceMsFor(license));
+            return {
+                valid: true,
+                license: license,
+                message: this.validMessage(period, license),
+                inGracePeriod: period.inGracePeriod,
+                daysRemaining: period.daysRemaining,
+                lease: this.leaseInfo(license, period),
+                signing_key: { kid: verification.kid || null, alg: verification.alg, status: verification.status || null },
+                hardware_match: hardware,
+                features: features,
+                expired_features: features.filter(feature => feature.expired).map(feature => feature.name)
+            };
+        }
+
+        // Unified API (automatically chooses WASM or JS)
+        generateNewHwid() {
+            if (this.useWasm) {
+                return this.setHwid(this.generateMockHwidWasm());
+            } else {
+                return this.setHwid(this.generateMockHwid());
+            }
+        }
+
+        getCurrentHwid() {
+            const hwid = this.hwidCache.get(this.hwidSource(), () => this.collectHwid());
+            if (hwid && typeof hwid.then === 'function') {
+                // The JS collector is async: serve the last value while it refreshes
+                hwid.then(value => { this.currentHwid = value; }, () => {});
+                return this.currentHwid;
+            }
+            this.currentHwid = hwid;
+            return hwid;
+        }
+
+        async generateLicense(userId, features, expiryDays, options = {}) {
+            if (this.useWasm) {
+                return await this.generateLicenseWasm(userId, features, expiryDays, options);
+            } else {
+                return await this.generateLicenseJS(userId, features, expiryDays, options);
+            }
+        }
+
+        // Accepts the JSON license, its compact key (license_compact.js) or an
+        // encrypted envelope (license_envelope.js). Emits validated / invalid and,
+        // when it applies, expiring / expired. The accepted text is kept as
+        // currentLicenseSource: revalidating must use it, because a compact key's
+        // truncated HMAC only verifies as a key, not as re-serialized JSON.
+        async validateLicense(licenseJson) {
+            const result = await this.validateInput(licenseJson);
+            if (result.valid) {
+                this.currentLicenseSource = licenseJson;
+            }
+            this.reportValidation(result);
+            return result;
+        }
+
+        async validateInput(licenseJson) {
+            // Only a compact key may carry the truncated 80-bit HMAC
+            const verifyOptions = {};
+            if (LicenseCompact.isCompactKey(licenseJson)) {
+                try {
+                    licenseJson = JSON.stringify(LicenseCompact.decode(licenseJson));
+                } catch (error) {
+                    return failure(error.code || ERROR_CODES.MALFORMED_LICENSE, error.message, error.details);
+                }
+                verifyOptions.truncatedHmac = true;
+            }
+            const opened = await this.openEnvelope(licenseJson);
+            if (!opened.valid) {
+                return opened;
+            }
+
+            const result = this.useWasm
+                ? await this.validateLicenseWasm(opened.licenseJson, verifyOptions)
+                : await this.validateLicenseJS(opened.licenseJson, verifyOptions);
+            return opened.encrypted && result.valid ? { ...result, encrypted: true } : result;
+        }
+
+        // Re-issue a license from an older schema version in the current one,
+        // keeping its license_id (see license_schema.js). The old signature
+        // must verify against this engine's keys - for version 1 licenses also
+        // in the formats used before canonical signing, with the engine's HMAC
+        // secrets; the new one comes from the current key. Encrypted licenses stay encrypted unless options.encrypt
+        // says otherwise. Throws the LicenseException matching the problem.
+        async migrateLicense(licenseJson, options = {}) {
+            const verifyOptions = {};
+            if (LicenseCompact.isCompactKey(licenseJson)) {
+                licenseJson = JSON.stringify(LicenseCompact.decode(licenseJson));
+                verifyOptions.truncatedHmac = true;
+            }
+            const opened = await this.openEnvelope(licenseJson);
+            if (!opened.valid) {
+                throw LicenseErrors.fromResult(opened);
+            }
+
+            let license;
+            try {
+                license = JSON.parse(opened.licenseJson);
+            } catch (error) {
+                throw new LicenseErrors.JsonParsingException(`JSON parsing error: ${error.message}`);
+            }
+            const problem = LicenseSchema.findProblem(license);
+            if (problem) {
+                throw LicenseErrors.fromResult(failure(problem.code, problem.message, problem.details));
+            }
+            let verification = await this.verifySignature(license, verifyOptions);
+            if (!verification.valid && !verifyOptions.truncatedHmac && LicenseSchema.versionOf(license) === 1) {
+                const legacy = await LicenseSchema.verifyLegacySignature(license, this.legacySecrets());
+                verification = legacy.valid ? legacy : verification;
+            }
+            if (!verification.valid) {
+                throw LicenseErrors.fromResult(verification);
+            }
+
+            const migrated = LicenseSchema.migrate(license);
+            await this.signLicenseData(migrated);
+            return await this.serializeLicense(migrated, { encrypt: options.encrypt ?? opened.encrypted });
+        }
+
+        // HMAC secrets a pre-canonical version 1 license may have been signed
+        // with: the keyring's HMAC keys (compromised ones only when those are
+        // accepted), else the configured secretKey
+        legacySecrets() {
+            if (!this.keyring) {
+                return this.secretKey ? [this.secretKey] : [];
+            }
+            return this.keyring.keys
+                .filter(key => key.alg === LicenseSigning.ALGORITHMS.HMAC_SHA256 && key.secretKey)
+                .filter(key => !(this.rejectCompromisedKeys && key.status === LicenseKeyring.STATUS.COMPROMISED))
+                .map(key => key.secretKey);
+        }
+
+        // Human-typable key for a signed license (object or JSON text). Throws
+        // MalformedLicenseException when a field can't be encoded.
+        toCompactKey(license) {
+            return LicenseCompact.encode(license);
+        }
+
+        // JSON license (pretty-printed) for a compact key; throws
+        // MalformedLicenseException naming the group with a typo
+        fromCompactKey(key) {
+            return JSON.stringify(LicenseCompact.decode(key), null, 2);
+        }
+
+        // Offline activation, client side: a request for this machine to hand to
+        // the vendor. It stays pending until a matching response is accepted.
+        async createActivationRequest({ product = null, userId = null, features = [] } = {}) {
+            this.pendingActivation = LicenseActivation.createRequest({
+                hardwareHash: await this.refreshHwid(),
+                product,
+                userId,
+                features
+            });
+            return this.pendingActivation;
+        }
+
+        // Offline activation, vendor side: a license answering the request (JSON
+        // text or object), bound to its HWID. options: { days, features, userId }
+        // override what the client asked for.
+        async issueActivationResponse(requestInput, options = {}) {
+            const request = LicenseActivation.parseRequest(requestInput);
+            const userId = options.userId || request.user_id;
+            if (!userId) {
+                throw new LicenseErrors.MalformedLicenseException('Missing required field: user_id', { field: 'user_id' });
+            }
+            return await this.generateLicense(userId, options.features || request.features || [], options.days ?? 365, {
+                hardwareHash: request.hardware_hash,
+                activationNonce: request.nonce,
+                product: request.product
+            });
+        }
+
+        // Offline activation, client side: validate a response and accept it only
+        // when it answers `request` (the pending one by default)
+        async acceptActivationResponse(responseJson, request = this.pendingActivation) {
+            if (!request) {
+                return failure(ERROR_CODES.NOT_INITIALIZED, 'No activation request pending');
+            }
+            let pending;
+            try {
+                pending = LicenseActivation.parseRequest(request);
+            } catch (error) {
+                return failure(error.code, error.message, error.details);
+            }
+            let response;
+            try {
+                response = JSON.parse(responseJson);
+            } catch (error) {
+                return failure(ERROR_CODES.JSON_PARSING_ERROR, `JSON parsing error: ${error.message}`);
+            }
+
+            // Match before validating so a foreign response never becomes currentLicense
+            const mismatch = response && typeof response === 'object'
+                ? LicenseActivation.matchResponse(response, pending)
+                : failure(ERROR_CODES.MALFORMED_LICENSE, 'License must be a JSON object');
+            if (mismatch) {
+                return mismatch;
+            }
+
+            const result = await this.validateLicense(responseJson);
+            if (result.valid && this.pendingActivation && this.pendingActivation.nonce === pending.nonce) {
+                this.pendingActivation = null;
+            }
+            return result;
+        }
+
+        // Throwing variant of validateLicense: returns the result when valid,
+        // otherwise throws the LicenseException subclass matching result.code
+        async validateOrThrow(licenseJson) {
+            const result = await this.validateLicense(licenseJson);
+            if (!result.valid) {
+                throw LicenseErrors.fromResult(result);
+            }
+            return result;
+        }
+
+        // Effective entitlement { name, expiry, limit, params, expired } for a
+        // feature of the current license, or null when it isn't licensed
+        getFeature(feature) {
+            return LicenseFeatures.findEntitlement(this.currentLicense, feature, new Date(),
+                this.graceMsFor(this.currentLicense));
+        }
+
+        hasFeature(feature) {
+            const entitlement = this.getFeature(feature);
+            return !!entitlement && !entitlement.expired;
+        }
+
+        requireFeature(feature) {
+            if (!this.currentLicense) {
+                throw new LicenseErrors.NotInitializedException('No license loaded');
+            }
+            const entitlement = this.getFeature(feature);
+            if (!entitlement) {
+                throw new LicenseErrors.MissingFeatureException(`Feature not available: ${feature}`, { feature });
+            }
+            if (entitlement.expired) {
+                throw new LicenseErrors.MissingFeatureException(`Feature expired: ${feature}`, { feature, expiry: entitlement.expiry });
+            }
+            return entitlement;
+        }
+    }
+
+    function defaultModuleFactory() {
+        if (isNode) {
+            return require('./license_core.js');
+        }
+        return globalThis.LicenseCoreModule;
+    }
+
+    async function readWasmBinary(options) {
+        if (options.wasmBinary) {
+            return options.wasmBinary instanceof Uint8Array
+                ? options.wasmBinary
+                : new Uint8Array(options.wasmBinary);
+        }
+        if (isNode && !options.wasmUrl) {
+            const path = require('path');
+            const wasmPath = options.wasmPath || path.join(__dirname, 'license_core.wasm');
+            return new Uint8Array(await require('fs').promises.readFile(wasmPath));
+        }
+        return null;
+    }
+
+    // Issuance limiter for a set of engine options, or null: on in demo mode at
+    // limits.maxLicensesPerHour unless rateLimit is false, off otherwise unless
+    // rateLimit is given. Also used by worker pools, which count in one place.
+    function createRateLimiter(options = {}, onWarning = () => {}) {
+        const demoMode = !!options.demoMode;
+        if (!options.rateLimit && !(demoMode && options.rateLimit !== false)) {
+            return null;
+        }
+        const limits = { ...DEFAULT_LIMITS, ...options.limits };
+        return new LicenseRateLimit.RateLimiter({
+            limit: limits.maxLicensesPerHour,
+            label: demoMode ? 'Demo limit' : 'Rate limit',
+            onWarning,
+            ...options.rateLimit
+        });
+    }
+
+    // Create and initialize an engine in one step
+    async function createLicenseCore(options = {}) {
+        const engine = new LicenseCoreEngine(options);
+        await engine.init(options);
+        return engine;
+    }
+
+    return {
+        LicenseCoreEngine,
+        createLicenseCore,
+        createRateLimiter,
+        ALGORITHMS: LicenseSigning.ALGORITHMS,
+        ERROR_CODES,
+        EVENTS: LicenseEvents.EVENTS,
+        errors: LicenseErrors,
+        generateKeyPair: LicenseSigning.generateKeyPair,
+        Keyring: LicenseKeyring.Keyring,
+        canonicalize: LicenseCanonical.canonicalize
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseEngine;
+} else {
+    globalThis.LicenseEngine = LicenseEngine;
+}
@@ -0,0 +1,18 @@
+// LicenseCore++ Headless Engine - ES module entry
+// Re-exports the CommonJS build in license_engine.js for Node and bundlers.
+
+import LicenseEngine from './license_engine.js';
+
+export const {
+    LicenseCoreEngine,
+    createLicenseCore,
+    ALGORITHMS,
+    ERROR_CODES,
+    EVENTS,
+    errors,
+    generateKeyPair,
+    Keyring,
+    canonicalize
+} = LicenseEngine;
+
+export default LicenseEngine;
@@ -0,0 +1,157 @@
+// LicenseCore++ Encrypted License Envelope
+// Keeps user_id, features and the HWID confidential: the signed license is
+// encrypted with AES-256-GCM under a key derived from the product key
+// (PBKDF2-SHA256), and the envelope itself is signed like a license, so
+// tampering shows up as a bad signature even without the product key.
+//
+//   { "type": "encrypted_license", "version": 1,
+//     "cipher": "AES-256-GCM", "kdf": "PBKDF2-SHA256", "iterations": 100000,
+//     "salt": "<base64>", "iv": "<base64>", "ciphertext": "<base64>",
+//     "hmac_signature": "..." }          (or signature_alg + signature, kid)
+//
+// The header fields are bound to the ciphertext as AES-GCM additional data.
+
+const LicenseEnvelope = (() => {
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+
+    const ENVELOPE_TYPE = 'encrypted_license';
+    const ENVELOPE_VERSION = 1;
+    const CIPHER = 'AES-256-GCM';
+    const KDF = 'PBKDF2-SHA256';
+    const DEFAULT_ITERATIONS = 100000;
+    const MAX_ITERATIONS = 10000000; // Keeps a crafted envelope from stalling inspect tools
+    const HEADER_FIELDS = ['type', 'version', 'cipher', 'kdf', 'iterations', 'salt', 'iv'];
+
+    const encoder = new TextEncoder();
+
+    function toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    function isEnvelope(value) {
+        return !!value && typeof value === 'object' && value.type === ENVELOPE_TYPE;
+    }
+
+    async function deriveKey(productKey, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(productKey), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    function additionalData(envelope) {
+        const header = {};
+        HEADER_FIELDS.forEach(field => { header[field] = envelope[field]; });
+        return encoder.encode(LicenseCanonical.canonicalize(header));
+    }
+
+    // Encrypt a signed license (object or JSON text). The envelope comes back
+    // unsigned - sign it with the license keys (engine.signLicenseData).
+    async function seal(license, productKey, { iterations = DEFAULT_ITERATIONS } = {}) {
+        if (!productKey) {
+            throw new LicenseErrors.CryptographicException('No product key to encrypt the license with');
+        }
+        const plaintext = typeof license === 'string' ? license : JSON.stringify(license);
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const envelope = {
+            type: ENVELOPE_TYPE,
+            version: ENVELOPE_VERSION,
+            cipher: CIPHER,
+            kdf: KDF,
+            iterations,
+            salt: toBase64(salt),
+            iv: toBase64(iv)
+        };
+        const key = await deriveKey(productKey, salt, iterations);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: additionalData(envelope) },
+            key,
+            encoder.encode(plaintext)
+        );
+        envelope.ciphertext = toBase64(ciphertext);
+        return envelope;
+    }
+
+    // License object inside an envelope. Throws CryptographicException for a
+    // wrong product key or modified ciphertext, MalformedLicenseException for
+    // an envelope this version can't read.
+    async function open(envelope, productKey) {
+        if (envelope.version !== ENVELOPE_VERSION || envelope.cipher !== CIPHER || envelope.kdf !== KDF) {
+            throw new LicenseErrors.MalformedLicenseException(
+                `Unsupported license envelope: ${envelope.cipher} / ${envelope.kdf} v${envelope.version}`);
+        }
+        if (!Number.isSafeInteger(envelope.iterations) || envelope.iterations < 1 || envelope.iterations > MAX_ITERATIONS) {
+            throw new LicenseErrors.MalformedLicenseException('Invalid iteration count in license envelope');
+        }
+        if (!productKey) {
+            throw new LicenseErrors.CryptographicException('License is encrypted and no product key is configured');
+        }
+
+        let salt, iv, ciphertext;
+        try {
+            salt = fromBase64(envelope.salt);
+            iv = fromBase64(envelope.iv);
+            ciphertext = fromBase64(envelope.ciphertext);
+        } catch (error) {
+            throw new LicenseErrors.MalformedLicenseException('License envelope is not valid base64');
+        }
+
+        let plaintext;
+        try {
+            const key = await deriveKey(productKey, salt, envelope.iterations);
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv, additionalData: additionalData(envelope) },
+                key,
+                ciphertext
+            );
+        } catch (error) {
+            throw new LicenseErrors.CryptographicException('Cannot decrypt license: wrong product key or damaged envelope');
+        }
+        try {
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw new LicenseErrors.JsonParsingException(`JSON parsing error: ${error.message}`);
+        }
+    }
+
+    // What can be said about an envelope without the product key
+    function describe(envelope) {
+        return {
+            encrypted: true,
+            cipher: envelope.cipher,
+            kdf: envelope.kdf,
+            signature_alg: envelope.signature_alg || 'HMAC-SHA256',
+            kid: envelope.kid || null
+        };
+    }
+
+    return {
+        ENVELOPE_TYPE,
+        DEFAULT_ITERATIONS,
+        isEnvelope,
+        seal,
+        open,
+        describe
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseEnvelope;
+} else {
+    globalThis.LicenseEnvelope = LicenseEnvelope;
+}
@@ -0,0 +1,202 @@
+// LicenseCore++ Error Types
+// JavaScript mirror of the C++ exception hierarchy in ERROR_HANDLING_GUIDE.md.
+// Result objects carry a stable `code`; validateOrThrow() turns a failed
+// result into the matching exception class.
+
+const LicenseErrors = (() => {
+    const ERROR_CODES = {
+        LICENSE_ERROR: 'LICENSE_ERROR',
+        INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+        LICENSE_EXPIRED: 'LICENSE_EXPIRED',
+        LICENSE_NOT_YET_VALID: 'LICENSE_NOT_YET_VALID',
+        CLOCK_ROLLBACK: 'CLOCK_ROLLBACK',
+        LICENSE_REVOKED: 'LICENSE_REVOKED',
+        ACTIVATION_MISMATCH: 'ACTIVATION_MISMATCH',
+        INVALID_LICENSE_KEY: 'INVALID_LICENSE_KEY',
+        ACTIVATION_LIMIT_REACHED: 'ACTIVATION_LIMIT_REACHED',
+        SERVER_UNAVAILABLE: 'SERVER_UNAVAILABLE',
+        RATE_LIMITED: 'RATE_LIMITED',
+        HARDWARE_MISMATCH: 'HARDWARE_MISMATCH',
+        MALFORMED_LICENSE: 'MALFORMED_LICENSE',
+        UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+        JSON_PARSING_ERROR: 'JSON_PARSING_ERROR',
+        MISSING_FEATURE: 'MISSING_FEATURE',
+        HARDWARE_DETECTION_FAILED: 'HARDWARE_DETECTION_FAILED',
+        CRYPTOGRAPHIC_ERROR: 'CRYPTOGRAPHIC_ERROR',
+        VALIDATION_FAILED: 'VALIDATION_FAILED',
+        NOT_INITIALIZED: 'NOT_INITIALIZED'
+    };
+
+    // Base exception for all LicenseCore errors
+    class LicenseException extends Error {
+        constructor(message, details = {}) {
+            super(message);
+            this.name = this.constructor.name;
+            this.code = this.constructor.code;
+            this.details = details;
+        }
+    }
+    LicenseException.code = ERROR_CODES.LICENSE_ERROR;
+
+    class InvalidSignatureException extends LicenseException {}
+    InvalidSignatureException.code = ERROR_CODES.INVALID_SIGNATURE;
+
+    class ExpiredLicenseException extends LicenseException {}
+    ExpiredLicenseException.code = ERROR_CODES.LICENSE_EXPIRED;
+
+    // not_before in the future, or issued_at ahead of the clock-skew allowance
+    class NotYetValidException extends LicenseException {}
+    NotYetValidException.code = ERROR_CODES.LICENSE_NOT_YET_VALID;
+
+    // System clock set back behind the recorded high-water mark
+    class ClockRollbackException extends LicenseException {}
+    ClockRollbackException.code = ERROR_CODES.CLOCK_ROLLBACK;
+
+    // license_id listed in the signed revocation list
+    class RevokedLicenseException extends LicenseException {}
+    RevokedLicenseException.code = ERROR_CODES.LICENSE_REVOKED;
+
+    // Offline activation response that doesn't answer the pending request
+    class ActivationMismatchException extends LicenseException {}
+    ActivationMismatchException.code = ERROR_CODES.ACTIVATION_MISMATCH;
+
+    // Online activation: unknown license key, or all its machine seats taken
+    class InvalidLicenseKeyException extends LicenseException {}
+    InvalidLicenseKeyException.code = ERROR_CODES.INVALID_LICENSE_KEY;
+
+    class ActivationLimitException extends LicenseException {}
+    ActivationLimitException.code = ERROR_CODES.ACTIVATION_LIMIT_REACHED;
+
+    // Activation server unreachable and no cached license to fall back to
+    class ServerUnavailableException extends LicenseException {}
+    ServerUnavailableException.code = ERROR_CODES.SERVER_UNAVAILABLE;
+
+    // Issuance refused: the rate limit window is used up (license_rate_limit.js)
+    class RateLimitException extends LicenseException {}
+    RateLimitException.code = ERROR_CODES.RATE_LIMITED;
+
+    class HardwareMismatchException extends LicenseException {}
+    HardwareMismatchException.code = ERROR_CODES.HARDWARE_MISMATCH;
+
+    class MalformedLicenseException extends LicenseException {}
+    MalformedLicenseException.code = ERROR_CODES.MALFORMED_LICENSE;
+
+    class JsonParsingException extends MalformedLicenseException {}
+    JsonParsingException.code = ERROR_CODES.JSON_PARSING_ERROR;
+
+    // License `version` newer (or other) than the schemas this build knows
+    class UnsupportedVersionException extends MalformedLicenseException {}
+    UnsupportedVersionException.code = ERROR_CODES.UNSUPPORTED_VERSION;
+
+    class MissingFeatureException extends LicenseException {}
+    MissingFeatureException.code = ERROR_CODES.MISSING_FEATURE;
+
+    class HardwareDetectionException extends LicenseException {}
+    HardwareDetectionException.code = ERROR_CODES.HARDWARE_DETECTION_FAILED;
+
+    class CryptographicException extends LicenseException {}
+    CryptographicException.code = ERROR_CODES.CRYPTOGRAPHIC_ERROR;
+
+    class ValidationException extends LicenseException {}
+    ValidationException.code = ERROR_CODES.VALIDATION_FAILED;
+
+    class NotInitializedException extends LicenseException {}
+    NotInitializedException.code = ERROR_CODES.NOT_INITIALIZED;
+
+    const EXCEPTIONS = [
+        LicenseException,
+        InvalidSignatureException,
+        ExpiredLicenseException,
+        NotYetValidException,
+        ClockRollbackException,
+        RevokedLicenseException,
+        ActivationMismatchException,
+        InvalidLicenseKeyException,
+        ActivationLimitException,
+        ServerUnavailableException,
+        RateLimitException,
+        HardwareMismatchException,
+        MalformedLicenseException,
+        JsonParsingException,
+        UnsupportedVersionException,
+        MissingFeatureException,
+        HardwareDetectionException,
+        CryptographicException,
+        ValidationException,
+        NotInitializedException
+    ];
+
+    // Free-text messages from the WASM core (and older JS builds) -> code
+    // (checked in order: "Missing signature field" is malformed, not forged)
+    const MESSAGE_CODES = [
+        [/^missing .*field/i, ERROR_CODES.MALFORMED_LICENSE],
+        [/json pars/i, ERROR_CODES.JSON_PARSING_ERROR],
+        [/signature/i, ERROR_CODES.INVALID_SIGNATURE],
+        [/expired/i, ERROR_CODES.LICENSE_EXPIRED],
+        [/not valid before|issue date is in the future/i, ERROR_CODES.LICENSE_NOT_YET_VALID],
+        [/clock/i, ERROR_CODES.CLOCK_ROLLBACK],
+        [/revoked/i, ERROR_CODES.LICENSE_REVOKED],
+        [/activation response/i, ERROR_CODES.ACTIVATION_MISMATCH],
+        [/hardware fingerprint mismatch/i, ERROR_CODES.HARDWARE_MISMATCH]
+    ];
+
+    function codeForMessage(message) {
+        const match = MESSAGE_CODES.find(([pattern]) => pattern.test(message || ''));
+        return match ? match[1] : ERROR_CODES.VALIDATION_FAILED;
+    }
+
+    function exceptionClass(code) {
+        return EXCEPTIONS.find(type => type.code === code) || ValidationException;
+    }
+
+    // Failed validation result for the safe (non-throwing) API
+    function failure(code, message, details) {
+        const result = { valid: false, error: message, code };
+        if (details) {
+            result.details = details;
+        }
+        return result;
+    }
+
+    // Exception for a failed validation result
+    function fromResult(result) {
+        const code = result.code || codeForMessage(result.error);
+        const Exception = exceptionClass(code);
+        return new Exception(result.error, result.details);
+    }
+
+    return {
+        ERROR_CODES,
+        LicenseException,
+        InvalidSignatureException,
+        ExpiredLicenseException,
+        NotYetValidException,
+        ClockRollbackException,
+        RevokedLicenseException,
+        ActivationMismatchException,
+        InvalidLicenseKeyException,
+        ActivationLimitException,
+        ServerUnavailableException,
+        RateLimitException,
+        HardwareMismatchException,
+        MalformedLicenseException,
+        JsonParsingException,
+        UnsupportedVersionException,
+        MissingFeatureException,
+        HardwareDetectionException,
+        CryptographicException,
+        ValidationException,
+        NotInitializedException,
+        codeForMessage,
+        exceptionClass,
+        failure,
+        fromResult
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseErrors;
+} else {
+    globalThis.LicenseErrors = LicenseErrors;
+}
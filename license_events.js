@@ -0,0 +1,102 @@
+// LicenseCore++ Lifecycle Events
+// A small emitter that works the same in browsers and Node (no EventTarget or
+// 'events' dependency). The engine owns one and exposes on / once / off:
+//
+//   const unsubscribe = licenseCore.on('invalid', ({ code }) => showLicenseDialog(code));
+//   licenseCore.once('ready', ({ engine }) => console.log(`Using ${engine}`));
+//   unsubscribe();
+//
+// Events and their payloads:
+//   ready          { engine: 'wasm' | 'js', hwid, error }  - init() finished; error is why WASM didn't load
+//   validated      the validation result                  - a license passed validateLicense()
+//   invalid        { valid: false, error, code, details } - a license failed validateLicense()
+//   expiring       { license_id, expiry, daysRemaining }  - valid, but expires within `expiringDays`
+//   expired        { license_id, expiry, inGracePeriod, daysRemaining }
+//                                                          - past its expiry: failed, or still in the grace period
+//   hwidChanged    { previous, hwid }                     - the HWID differs from the one in use before
+//   featureChanged { features, added, removed }           - the granted (unexpired) features changed
+//
+// A listener that throws doesn't stop the others or the engine; the error is
+// passed to onError (the engine's onWarning).
+
+const LicenseEvents = (() => {
+    const EVENTS = ['ready', 'validated', 'invalid', 'expiring', 'expired', 'hwidChanged', 'featureChanged'];
+
+    class Emitter {
+        // options: { events - accepted names (default EVENTS), onError(error, event) }
+        constructor(options = {}) {
+            this.events = options.events || EVENTS;
+            this.onError = options.onError || (() => {});
+            this.listeners = new Map();
+        }
+
+        checkEvent(event) {
+            if (!this.events.includes(event)) {
+                throw new Error(`Unknown license event: ${event} (expected ${this.events.join(', ')})`);
+            }
+        }
+
+        // Subscribe; returns a function that unsubscribes
+        on(event, listener) {
+            this.checkEvent(event);
+            if (typeof listener !== 'function') {
+                throw new TypeError(`Listener for ${event} must be a function`);
+            }
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, []);
+            }
+            this.listeners.get(event).push(listener);
+            return () => this.off(event, listener);
+        }
+
+        once(event, listener) {
+            const wrapper = payload => {
+                unsubscribe();
+                listener(payload);
+            };
+            wrapper.listener = listener; // So off(event, listener) finds it
+            const unsubscribe = this.on(event, wrapper);
+            return unsubscribe;
+        }
+
+        off(event, listener) {
+            const listeners = this.listeners.get(event);
+            const index = listeners
+                ? listeners.findIndex(entry => entry === listener || entry.listener === listener)
+                : -1;
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+
+        listenerCount(event) {
+            return (this.listeners.get(event) || []).length;
+        }
+
+        // Call the listeners in subscription order; returns whether there were any
+        emit(event, payload) {
+            this.checkEvent(event);
+            const listeners = (this.listeners.get(event) || []).slice();
+            listeners.forEach(listener => {
+                try {
+                    listener(payload);
+                } catch (error) {
+                    this.onError(error, event);
+                }
+            });
+            return listeners.length > 0;
+        }
+    }
+
+    return {
+        EVENTS,
+        Emitter
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseEvents;
+} else {
+    globalThis.LicenseEvents = LicenseEvents;
+}
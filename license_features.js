@@ -0,0 +1,135 @@
+// LicenseCore++ Feature Entitlements
+// `features` entries are either plain names ("api") or entitlement objects:
+//
+//   { "name": "api", "expiry": "2026-03-31T23:59:59Z", "limit": 10000,
+//     "params": { "period": "month" } }
+//
+// expiry, limit and params are optional. Each name appears once: a second
+// entry for the same feature is malformed. A feature never outlives its
+// license, so the effective expiry is the earlier of the two (the license's
+// own expiry extended by any grace period when deciding `expired`).
+
+const LicenseFeatures = (() => {
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+
+    function isEntitlementObject(feature) {
+        return !!feature && typeof feature === 'object' && !Array.isArray(feature);
+    }
+
+    function featureName(feature) {
+        return isEntitlementObject(feature) ? feature.name : feature;
+    }
+
+    // First problem with a features array as { message, details }, or null
+    function findProblem(features) {
+        if (!Array.isArray(features)) {
+            return { message: 'Features must be an array', details: { field: 'features' } };
+        }
+        const names = new Set();
+        for (const feature of features) {
+            const name = featureName(feature);
+            if (typeof name !== 'string' || !name) {
+                return { message: 'Feature entry without a name', details: { field: 'features' } };
+            }
+            if (names.has(name)) {
+                return { message: `Duplicate feature: ${name}`, details: { feature: name, field: 'features' } };
+            }
+            names.add(name);
+            if (!isEntitlementObject(feature)) continue;
+
+            if (feature.expiry != null && isNaN(new Date(feature.expiry).getTime())) {
+                return { message: `Invalid expiry for feature: ${name}`, details: { feature: name, field: 'expiry' } };
+            }
+            if (feature.limit != null && !(typeof feature.limit === 'number' && Number.isFinite(feature.limit) && feature.limit >= 0)) {
+                return { message: `Invalid limit for feature: ${name}`, details: { feature: name, field: 'limit' } };
+            }
+            if (feature.params != null && !isEntitlementObject(feature.params)) {
+                return { message: `Invalid params for feature: ${name}`, details: { feature: name, field: 'params' } };
+            }
+        }
+        return null;
+    }
+
+    // Issuing side: strings stay strings, objects keep only the known fields
+    // with the expiry in canonical date form
+    function normalizeFeature(feature) {
+        if (!isEntitlementObject(feature)) {
+            return feature;
+        }
+        const entry = { name: feature.name };
+        if (feature.expiry != null) {
+            entry.expiry = LicenseCanonical.formatDate(new Date(feature.expiry));
+        }
+        if (feature.limit != null) {
+            entry.limit = feature.limit;
+        }
+        if (feature.params != null && Object.keys(feature.params).length) {
+            entry.params = feature.params;
+        }
+        return entry;
+    }
+
+    function earlier(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return new Date(a) <= new Date(b) ? a : b;
+    }
+
+    // Effective entitlement: { name, expiry, limit, params, expired }
+    function entitlement(feature, license = {}, now = new Date(), graceMs = 0) {
+        const entry = isEntitlementObject(feature) ? feature : { name: feature };
+        const featureExpiry = entry.expiry != null ? LicenseCanonical.formatDate(new Date(entry.expiry)) : null;
+        const licenseExpiry = license.expiry != null ? LicenseCanonical.formatDate(new Date(license.expiry)) : null;
+        const expired = (!!featureExpiry && now > new Date(featureExpiry)) ||
+            (!!licenseExpiry && now.getTime() > new Date(licenseExpiry).getTime() + graceMs);
+        return {
+            name: entry.name,
+            expiry: earlier(featureExpiry, licenseExpiry),
+            limit: entry.limit ?? null,
+            params: entry.params || {},
+            expired
+        };
+    }
+
+    function entitlements(license, now = new Date(), graceMs = 0) {
+        if (!license || !Array.isArray(license.features)) return [];
+        return license.features.map(feature => entitlement(feature, license, now, graceMs));
+    }
+
+    function findEntitlement(license, name, now = new Date(), graceMs = 0) {
+        if (!license || !Array.isArray(license.features)) return null;
+        const feature = license.features.find(entry => featureName(entry) === name);
+        return feature === undefined ? null : entitlement(feature, license, now, graceMs);
+    }
+
+    // Display form: "api (limit 10000, until 2026-03-31T23:59:59Z)"
+    function describe(feature) {
+        if (!isEntitlementObject(feature)) return String(feature);
+        const parts = [];
+        if (feature.limit != null) parts.push(`limit ${feature.limit}`);
+        if (feature.expiry != null) parts.push(`until ${feature.expiry}`);
+        for (const [key, value] of Object.entries(feature.params || {})) {
+            parts.push(`${key}=${value}`);
+        }
+        return parts.length ? `${feature.name} (${parts.join(', ')})` : String(feature.name);
+    }
+
+    return {
+        featureName,
+        findProblem,
+        normalizeFeature,
+        entitlement,
+        entitlements,
+        findEntitlement,
+        describe
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseFeatures;
+} else {
+    globalThis.LicenseFeatures = LicenseFeatures;
+}
@@ -0,0 +1,159 @@
+// LicenseCore++ Hardware Fingerprint
+// Stable machine fingerprint from signals that survive page reloads, stored
+// as per-component hashes so validation can tolerate a changed component.
+//
+// HWID format: one 8-hex-digit SHA-256 prefix per component, joined with '-'
+// in the fixed order of the component list, e.g.
+//   3f2a9c01-77d0b2e4-0c9e51aa-5b1f0d3e-9a4c2e17-e81d6b20-4d7f3a92
+// Legacy HWIDs (any other shape) only ever match exactly.
+
+const LicenseFingerprint = (() => {
+    const isNode = typeof module !== 'undefined' && module.exports &&
+        typeof process !== 'undefined' && !!process.versions?.node;
+
+    const BROWSER_COMPONENTS = ['canvas', 'webgl', 'screen', 'timezone', 'concurrency', 'platform', 'language'];
+    const NODE_COMPONENTS = ['host', 'platform', 'arch', 'cpu', 'cores', 'memory', 'network'];
+    const COMPONENT_HASH = /^[0-9a-f]{8}$/;
+
+    function safe(read) {
+        try {
+            const value = read();
+            return value === undefined || value === null ? 'unavailable' : String(value);
+        } catch (error) {
+            return 'unavailable';
+        }
+    }
+
+    function canvasSignal() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 240;
+        canvas.height = 60;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return 'unavailable';
+        ctx.textBaseline = 'top';
+        ctx.font = "16px 'Arial'";
+        ctx.fillStyle = '#f60';
+        ctx.fillRect(100, 1, 62, 20);
+        ctx.fillStyle = '#069';
+        ctx.fillText('LicenseCore++ 🔐 fp', 2, 15);
+        ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+        ctx.fillText('LicenseCore++ 🔐 fp', 4, 17);
+        return canvas.toDataURL();
+    }
+
+    function webglSignal() {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        if (!gl) return 'unavailable';
+        const debug = gl.getExtension('WEBGL_debug_renderer_info');
+        const vendor = gl.getParameter(debug ? debug.UNMASKED_VENDOR_WEBGL : gl.VENDOR);
+        const renderer = gl.getParameter(debug ? debug.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+        return `${vendor}|${renderer}`;
+    }
+
+    function browserSignals() {
+        return {
+            canvas: safe(canvasSignal),
+            webgl: safe(webglSignal),
+            screen: safe(() => `${screen.width}x${screen.height}x${screen.colorDepth}`),
+            timezone: safe(() => Intl.DateTimeFormat().resolvedOptions().timeZone),
+            concurrency: safe(() => navigator.hardwareConcurrency),
+            platform: safe(() => navigator.userAgentData?.platform || navigator.platform),
+            language: safe(() => navigator.language)
+        };
+    }
+
+    function nodeSignals() {
+        const os = require('os');
+        const macs = Object.values(os.networkInterfaces())
+            .flat()
+            .filter(iface => iface && !iface.internal && iface.mac && iface.mac !== '00:00:00:00:00:00')
+            .map(iface => iface.mac);
+        return {
+            host: safe(() => os.hostname()),
+            platform: safe(() => os.platform()),
+            arch: safe(() => os.arch()),
+            cpu: safe(() => os.cpus()[0].model),
+            cores: safe(() => os.cpus().length),
+            // Rounded to GiB so small reporting differences don't count as a change
+            memory: safe(() => Math.round(os.totalmem() / (1024 ** 3))),
+            network: safe(() => [...new Set(macs)].sort().join(','))
+        };
+    }
+
+    // Raw signal values for the current environment, keyed by component name
+    function collectSignals() {
+        const signals = isNode ? nodeSignals() : browserSignals();
+        const names = isNode ? NODE_COMPONENTS : BROWSER_COMPONENTS;
+        return Object.fromEntries(names.map(name => [name, signals[name]]));
+    }
+
+    async function hashComponent(value) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+        return Array.from(new Uint8Array(digest).slice(0, 4))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // { hwid, components: { name: hash } } from a signals object
+    async function fromSignals(signals) {
+        const components = {};
+        for (const name of Object.keys(signals)) {
+            components[name] = await hashComponent(`${name}:${signals[name]}`);
+        }
+        return {
+            hwid: Object.values(components).join('-'),
+            components
+        };
+    }
+
+    async function collect() {
+        return await fromSignals(collectSignals());
+    }
+
+    // Component hashes of a HWID, or null for legacy / opaque HWIDs
+    function parseHwid(hwid) {
+        if (typeof hwid !== 'string') return null;
+        const parts = hwid.split('-');
+        return parts.length > 1 && parts.every(part => COMPONENT_HASH.test(part)) ? parts : null;
+    }
+
+    // Compare a licensed HWID with the current one. requiredMatches is k in
+    // "k of n components must match"; it defaults to n - 1, so a single
+    // changed component (new monitor, browser update) is tolerated.
+    function compare(licensedHwid, currentHwid, requiredMatches = null) {
+        if (licensedHwid === currentHwid) {
+            const parts = parseHwid(currentHwid);
+            const total = parts ? parts.length : 1;
+            return { match: true, exact: true, matched: total, total, required: total };
+        }
+
+        const licensed = parseHwid(licensedHwid);
+        const current = parseHwid(currentHwid);
+        if (!licensed || !current || licensed.length !== current.length) {
+            return { match: false, exact: false, matched: 0, total: licensed ? licensed.length : 1, required: null };
+        }
+
+        const total = licensed.length;
+        const required = Math.min(total, Math.max(1, requiredMatches ?? total - 1));
+        const matched = licensed.filter((part, i) => part === current[i]).length;
+        return { match: matched >= required, exact: false, matched, total, required };
+    }
+
+    return {
+        BROWSER_COMPONENTS,
+        NODE_COMPONENTS,
+        collectSignals,
+        fromSignals,
+        collect,
+        parseHwid,
+        compare
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseFingerprint;
+} else {
+    globalThis.LicenseFingerprint = LicenseFingerprint;
+}
@@ -0,0 +1,167 @@
+// LicenseCore++ Fingerprint Cache
+// JavaScript counterpart of the C++ fingerprint cache (CACHING_GUIDE_EN.md):
+// a lifetime, hit/miss statistics, manual invalidation and, in the browser,
+// optional persistence in sessionStorage so a reload doesn't re-fingerprint.
+//
+// Entries are keyed by source ('wasm', 'js') so a value collected by one
+// engine is never served to the other.
+
+const LicenseFingerprintCache = (() => {
+    const DEFAULT_LIFETIME = 5 * 60 * 1000; // 5 minutes, as in the C++ core
+    const DEFAULT_STORAGE_KEY = 'licensecore.hwid';
+
+    function sessionStore() {
+        try {
+            return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+        } catch (error) {
+            return null; // Storage access throws in sandboxed frames
+        }
+    }
+
+    class FingerprintCache {
+        // options: { enabled = true, lifetime = 5 min (ms), persist = false,
+        //            storageKey, now() - clock override }
+        constructor(options = {}) {
+            this.enabled = options.enabled !== false;
+            this.lifetime = options.lifetime ?? DEFAULT_LIFETIME;
+            this.storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+            this.storage = options.persist ? sessionStore() : null;
+            this.now = options.now || (() => Date.now());
+            this.entries = new Map();
+            this.pending = new Map();
+            this.hits = 0;
+            this.misses = 0;
+        }
+
+        // Cached value for `source`, or the result of compute() on a miss.
+        // compute may return a value or a promise; get() returns the same kind.
+        // Concurrent misses share one pending computation.
+        get(source, compute) {
+            if (!this.enabled) {
+                this.misses++;
+                return compute();
+            }
+
+            const entry = this.entry(source);
+            if (entry) {
+                this.hits++;
+                return entry.value;
+            }
+            if (this.pending.has(source)) {
+                this.hits++;
+                return this.pending.get(source);
+            }
+
+            this.misses++;
+            const value = compute();
+            if (value && typeof value.then === 'function') {
+                const promise = value.then(
+                    result => {
+                        this.pending.delete(source);
+                        return this.store(source, result);
+                    },
+                    error => {
+                        this.pending.delete(source);
+                        throw error;
+                    }
+                );
+                this.pending.set(source, promise);
+                return promise;
+            }
+            return this.store(source, value);
+        }
+
+        // Put a value in the cache (e.g. a simulated hardware change) and return it
+        store(source, value) {
+            const entry = { value, cachedAt: this.now() };
+            this.entries.set(source, entry);
+            if (this.storage) {
+                try {
+                    this.storage.setItem(this.storageName(source), JSON.stringify(entry));
+                } catch (error) {
+                    // Quota or privacy mode - the in-memory entry still works
+                }
+            }
+            return value;
+        }
+
+        // Valid entry for source, restoring it from sessionStorage if needed
+        entry(source) {
+            let entry = this.entries.get(source);
+            if (!entry && this.storage) {
+                try {
+                    entry = JSON.parse(this.storage.getItem(this.storageName(source)));
+                } catch (error) {
+                    entry = null;
+                }
+                if (entry) {
+                    this.entries.set(source, entry);
+                }
+            }
+            if (!entry || typeof entry.cachedAt !== 'number') {
+                return null;
+            }
+            return this.now() - entry.cachedAt < this.lifetime ? entry : null;
+        }
+
+        isValid(source) {
+            return this.enabled && !!this.entry(source);
+        }
+
+        // Drop one source, or everything when called without arguments
+        invalidate(source) {
+            const sources = source === undefined
+                ? [...new Set([...this.entries.keys(), 'wasm', 'js'])]
+                : [source];
+            for (const name of sources) {
+                this.entries.delete(name);
+                this.pending.delete(name);
+                if (this.storage) {
+                    try {
+                        this.storage.removeItem(this.storageName(name));
+                    } catch (error) {
+                        // Nothing to remove
+                    }
+                }
+            }
+        }
+
+        resetStats() {
+            this.hits = 0;
+            this.misses = 0;
+        }
+
+        // { hits, misses, hitRate, lifetime, cachedAt, age } - age in ms of the
+        // entry for `source` (null when there is none or it has expired)
+        getStats(source) {
+            const total = this.hits + this.misses;
+            const entry = source === undefined ? null : this.entry(source);
+            return {
+                enabled: this.enabled,
+                persistent: !!this.storage,
+                hits: this.hits,
+                misses: this.misses,
+                hitRate: total ? this.hits / total : 0,
+                lifetime: this.lifetime,
+                cachedAt: entry ? entry.cachedAt : null,
+                age: entry ? this.now() - entry.cachedAt : null
+            };
+        }
+
+        storageName(source) {
+            return `${this.storageKey}:${source}`;
+        }
+    }
+
+    return {
+        DEFAULT_LIFETIME,
+        FingerprintCache
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseFingerprintCache;
+} else {
+    globalThis.LicenseFingerprintCache = LicenseFingerprintCache;
+}
@@ -0,0 +1,247 @@
+// LicenseCore++ Declarative Feature Gating
+// Gate page elements on the current license without hand-written
+// hasFeature() checks:
+//
+//   <button data-requires-feature="premium">Export PDF</button>
+//   <a data-requires-feature="api analytics" data-requires-mode="any"
+//      data-gate="upsell" data-upsell-template="#upsell">API console</a>
+//   <template id="upsell">🔒 Upgrade to unlock <span data-gate-missing></span></template>
+//
+//   const gate = LicenseGating.createFeatureGate(licenseCore).start();
+//
+// Attributes:
+//   data-requires-feature  space-separated feature names
+//   data-requires-mode     all (default) - every feature; any - at least one
+//   data-gate              hide (default), disable, or upsell - hide it and show a
+//                          copy of the upsell template after it
+//   data-upsell-template   selector of the <template> (default: the upsellTemplate option)
+// Inside an upsell copy, [data-gate-missing] elements get the missing features.
+// Locked elements carry data-feature-locked, for styling.
+//
+// Elements inserted later are gated as they arrive (MutationObserver), and
+// everything is re-evaluated on the engine's featureChanged event, so a new,
+// lapsed or dropped license shows up without any calls. Unlocking restores
+// an element's own hidden / disabled state.
+
+const LicenseGating = (() => {
+    const SELECTOR = '[data-requires-feature]';
+    const UPSELL_MARKER = 'data-gate-upsell';
+    const ACTIONS = ['hide', 'disable', 'upsell'];
+    const OBSERVED_ATTRIBUTES = ['data-requires-feature', 'data-requires-mode', 'data-gate', 'data-upsell-template'];
+
+    function requiredFeatures(element) {
+        return (element.getAttribute('data-requires-feature') || '').split(/\s+/).filter(Boolean);
+    }
+
+    class FeatureGate {
+        // options: { root (default document), action - default data-gate
+        //            (default 'hide'), upsellTemplate - default template selector,
+        //            observe (default true) - gate elements inserted later,
+        //            onWarning(message) }
+        constructor(engine, options = {}) {
+            this.engine = engine;
+            this.root = options.root || (typeof document !== 'undefined' ? document : null);
+            this.action = options.action || 'hide';
+            this.upsellTemplate = options.upsellTemplate || null;
+            this.observe = options.observe !== false;
+            this.onWarning = options.onWarning || engine.onWarning || (() => {});
+            this.locked = new Map(); // element -> { hidden, disabled, upsell: [nodes], key } from before locking
+            this.observer = null;
+            this.unsubscribe = null;
+        }
+
+        start() {
+            if (!this.root) {
+                throw new Error('Feature gating needs a DOM root (document or an element)');
+            }
+            if (this.unsubscribe || this.observer) {
+                return this;
+            }
+            if (typeof this.engine.on === 'function') {
+                this.unsubscribe = this.engine.on('featureChanged', () => this.refresh());
+            }
+            if (this.observe && typeof MutationObserver === 'function') {
+                this.observer = new MutationObserver(records => this.onMutations(records));
+                this.observer.observe(this.root, {
+                    childList: true,
+                    subtree: true,
+                    attributes: true,
+                    attributeFilter: OBSERVED_ATTRIBUTES
+                });
+            }
+            this.refresh();
+            return this;
+        }
+
+        // Stop gating and unlock everything
+        stop() {
+            if (this.unsubscribe) {
+                this.unsubscribe();
+                this.unsubscribe = null;
+            }
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            Array.from(this.locked.keys()).forEach(element => this.unlock(element));
+        }
+
+        // Re-evaluate every gated element under the root
+        refresh() {
+            this.gateTree(this.root);
+            // Elements that lost their attribute or left the page
+            Array.from(this.locked.keys())
+                .filter(element => !element.isConnected || !element.hasAttribute('data-requires-feature'))
+                .forEach(element => this.unlock(element));
+        }
+
+        gateTree(node) {
+            if (node.nodeType !== 1 && node.nodeType !== 9 && node.nodeType !== 11) {
+                return;
+            }
+            if (node.nodeType === 1 && node.hasAttribute(UPSELL_MARKER)) {
+                return;
+            }
+            if (node.nodeType === 1 && node.matches(SELECTOR)) {
+                this.gate(node);
+            }
+            node.querySelectorAll(SELECTOR).forEach(element => {
+                if (!element.closest(`[${UPSELL_MARKER}]`)) {
+                    this.gate(element);
+                }
+            });
+        }
+
+        onMutations(records) {
+            records.forEach(record => {
+                if (record.type === 'attributes') {
+                    this.gate(record.target);
+                    return;
+                }
+                record.addedNodes.forEach(node => this.gateTree(node));
+                record.removedNodes.forEach(node => {
+                    if (node.nodeType === 1 && !node.hasAttribute(UPSELL_MARKER)) {
+                        this.releaseRemoved(node);
+                    }
+                });
+            });
+        }
+
+        // A gated element left the page: take its upsell copy with it
+        releaseRemoved(node) {
+            Array.from(this.locked.keys())
+                .filter(element => !element.isConnected && (element === node || node.contains(element)))
+                .forEach(element => this.unlock(element));
+        }
+
+        // Features the element needs but the license doesn't grant, or [] when allowed
+        missingFeatures(element) {
+            const required = requiredFeatures(element);
+            const missing = required.filter(feature => !this.engine.hasFeature(feature));
+            const anyMode = (element.getAttribute('data-requires-mode') || 'all') === 'any';
+            const allowed = anyMode ? missing.length < required.length || !required.length : !missing.length;
+            return allowed ? [] : missing;
+        }
+
+        gate(element) {
+            if (!element.hasAttribute('data-requires-feature')) {
+                this.unlock(element);
+                return;
+            }
+            const missing = this.missingFeatures(element);
+            if (missing.length) {
+                this.lock(element, missing);
+            } else {
+                this.unlock(element);
+            }
+        }
+
+        actionFor(element) {
+            const action = element.getAttribute('data-gate') || this.action;
+            if (ACTIONS.includes(action)) {
+                return action;
+            }
+            this.onWarning(`⚠️ Unknown data-gate "${action}", hiding instead (expected ${ACTIONS.join(', ')})`);
+            return 'hide';
+        }
+
+        lock(element, missing) {
+            const action = this.actionFor(element);
+            const key = `${action} ${element.getAttribute('data-upsell-template') || ''} ${missing.join(' ')}`;
+            const current = this.locked.get(element);
+            if (current && current.key === key) {
+                return;
+            }
+            // Start from the element's own state when re-locking (the action may differ)
+            this.unlock(element);
+            const state = { hidden: element.hidden, disabled: element.disabled, upsell: [], key };
+            this.locked.set(element, state);
+            element.setAttribute('data-feature-locked', missing.join(' '));
+
+            if (action === 'disable') {
+                if ('disabled' in element) {
+                    element.disabled = true;
+                }
+                element.setAttribute('aria-disabled', 'true');
+                return;
+            }
+            element.hidden = true;
+            if (action === 'upsell') {
+                state.upsell = this.insertUpsell(element, missing);
+            }
+        }
+
+        unlock(element) {
+            const state = this.locked.get(element);
+            if (!state) {
+                return;
+            }
+            this.locked.delete(element);
+            element.removeAttribute('data-feature-locked');
+            element.removeAttribute('aria-disabled');
+            element.hidden = state.hidden;
+            if ('disabled' in element) {
+                element.disabled = state.disabled;
+            }
+            state.upsell.forEach(node => node.remove());
+        }
+
+        // Copy of the upsell template after the element; returns the inserted nodes
+        insertUpsell(element, missing) {
+            const selector = element.getAttribute('data-upsell-template') || this.upsellTemplate;
+            const ownerDocument = element.ownerDocument || this.root;
+            const template = selector ? ownerDocument.querySelector(selector) : null;
+            if (!template || !template.content) {
+                this.onWarning(`⚠️ Upsell template not found: ${selector || '(none set)'}`);
+                return [];
+            }
+            const copy = template.content.cloneNode(true);
+            copy.querySelectorAll('[data-gate-missing]').forEach(slot => { slot.textContent = missing.join(', '); });
+            const nodes = Array.from(copy.childNodes);
+            nodes.forEach(node => {
+                if (node.nodeType === 1) {
+                    node.setAttribute(UPSELL_MARKER, '');
+                }
+            });
+            element.after(copy);
+            return nodes;
+        }
+    }
+
+    function createFeatureGate(engine, options = {}) {
+        return new FeatureGate(engine, options);
+    }
+
+    return {
+        ACTIONS,
+        FeatureGate,
+        createFeatureGate
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseGating;
+} else {
+    globalThis.LicenseGating = LicenseGating;
+}
@@ -0,0 +1,181 @@
+// LicenseCore++ Signing Keyring
+// Key rotation without invalidating licenses already in the field. Every key
+// has a `kid` and a status:
+//   active      - verifies; the current key (an active one) signs new licenses
+//   retired     - still verifies licenses issued before a rotation, never signs
+//   compromised - verifies with a warning, or is refused with rejectCompromised
+//
+// Issued licenses carry the signing key's `kid` as part of the signed payload.
+// Licenses without one (issued before keyrings) are tried against every key
+// of their algorithm.
+//
+// Keyring JSON:
+//   { "current": "2025-01-a1b2",
+//     "keys": [ { "kid": "2025-01-a1b2", "alg": "Ed25519", "publicKey": "...",
+//                 "privateKey": "...", "status": "active" }, ... ] }
+
+const LicenseKeyring = (() => {
+    const LicenseSigning = typeof module !== 'undefined' && module.exports
+        ? require('./license_signing.js')
+        : globalThis.LicenseSigning;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+
+    const STATUS = {
+        ACTIVE: 'active',
+        RETIRED: 'retired',
+        COMPROMISED: 'compromised'
+    };
+
+    // Order in which kid-less licenses try the keys
+    const STATUS_ORDER = [STATUS.ACTIVE, STATUS.RETIRED, STATUS.COMPROMISED];
+
+    class Keyring {
+        // options: { keys: [{ kid, alg, secretKey | publicKey, privateKey, status }],
+        //            current - kid that signs (defaults to the last active key) }
+        constructor({ keys = [], current = null } = {}) {
+            this.keys = [];
+            keys.forEach(key => this.add(key));
+            this.currentKid = null;
+            if (current) {
+                this.setCurrent(current);
+            }
+        }
+
+        add(key) {
+            if (!key || typeof key.kid !== 'string' || !key.kid) {
+                throw new Error('Keyring entries need a kid');
+            }
+            if (this.get(key.kid)) {
+                throw new Error(`Duplicate kid in keyring: ${key.kid}`);
+            }
+            const alg = key.alg || LicenseSigning.ALGORITHMS.HMAC_SHA256;
+            const status = key.status || STATUS.ACTIVE;
+            if (!STATUS_ORDER.includes(status)) {
+                throw new Error(`Unknown key status: ${status}`);
+            }
+            const entry = { ...key, alg, status };
+            this.keys.push(entry);
+            return entry;
+        }
+
+        get(kid) {
+            return this.keys.find(key => key.kid === kid) || null;
+        }
+
+        // The key that signs new licenses
+        current() {
+            const key = this.currentKid
+                ? this.get(this.currentKid)
+                : this.keys.filter(entry => entry.status === STATUS.ACTIVE).pop();
+            if (!key || key.status !== STATUS.ACTIVE) {
+                throw new Error('Keyring has no active key to sign with');
+            }
+            return key;
+        }
+
+        setCurrent(kid) {
+            const key = this.get(kid);
+            if (!key || key.status !== STATUS.ACTIVE) {
+                throw new Error(`Current key must be an active key in the keyring: ${kid}`);
+            }
+            this.currentKid = kid;
+        }
+
+        setStatus(kid, status) {
+            const key = this.get(kid);
+            if (!key) {
+                throw new Error(`No such key: ${kid}`);
+            }
+            if (!STATUS_ORDER.includes(status)) {
+                throw new Error(`Unknown key status: ${status}`);
+            }
+            key.status = status;
+            if (kid === this.currentKid && status !== STATUS.ACTIVE) {
+                this.currentKid = null;
+            }
+        }
+
+        // Add `key` as the new current key and retire the previous one
+        rotate(key) {
+            const previous = this.keys.some(entry => entry.status === STATUS.ACTIVE) ? this.current() : null;
+            const entry = this.add({ ...key, status: STATUS.ACTIVE });
+            if (previous) {
+                previous.status = STATUS.RETIRED;
+            }
+            this.currentKid = entry.kid;
+            return entry;
+        }
+
+        toJSON() {
+            return { current: this.currentKid, keys: this.keys.map(key => ({ ...key })) };
+        }
+    }
+
+    // Keys in the shape LicenseSigning expects
+    function signingKeys(key) {
+        return {
+            alg: key.alg,
+            secretKey: key.secretKey || null,
+            privateKey: key.privateKey || null,
+            publicKey: key.publicKey || null
+        };
+    }
+
+    // Sign with the current key, recording its kid (mutates and returns licenseData)
+    async function signLicense(licenseData, keyring) {
+        const key = keyring.current();
+        licenseData.kid = key.kid;
+        return await LicenseSigning.signLicense(licenseData, signingKeys(key));
+    }
+
+    // options: { rejectCompromised, truncatedHmac (see LicenseSigning.verifyLicense) }
+    // Returns { valid: true, alg, kid, status } or a failure
+    async function verifyLicense(license, keyring, options = {}) {
+        let candidates;
+        if (license.kid != null) {
+            const key = keyring.get(license.kid);
+            if (!key) {
+                return failure(ERROR_CODES.INVALID_SIGNATURE, `Unknown signing key: ${license.kid}`, { kid: license.kid });
+            }
+            candidates = [key];
+        } else {
+            const alg = LicenseSigning.licenseAlgorithm(license);
+            candidates = STATUS_ORDER.flatMap(status =>
+                keyring.keys.filter(key => key.status === status && key.alg === alg));
+            if (!candidates.length) {
+                return failure(ERROR_CODES.CRYPTOGRAPHIC_ERROR, `No key in the keyring for ${alg} licenses`);
+            }
+        }
+
+        let result;
+        for (const key of candidates) {
+            result = await LicenseSigning.verifyLicense(license, signingKeys(key),
+                { truncatedHmac: options.truncatedHmac });
+            if (!result.valid) continue;
+            if (key.status === STATUS.COMPROMISED && options.rejectCompromised) {
+                return failure(ERROR_CODES.INVALID_SIGNATURE, `License signed with a compromised key: ${key.kid}`,
+                    { kid: key.kid, status: key.status });
+            }
+            return { ...result, kid: key.kid, status: key.status };
+        }
+        return result;
+    }
+
+    return {
+        STATUS,
+        Keyring,
+        signingKeys,
+        signLicense,
+        verifyLicense
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseKeyring;
+} else {
+    globalThis.LicenseKeyring = LicenseKeyring;
+}
@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+// LicenseCore++ Engine Parity Harness
+// The demo page silently falls back from the WASM core to the JavaScript
+// engine when license_core.wasm doesn't load. This runs both engines side by
+// side under Node, with the same key and HWID, on the same seeded random
+// inputs and a fixed set of edge cases, and reports every divergence:
+//   generate - output format: fields, version, features, term, hardware
+//              binding, demo watermark, signature format, or the error thrown
+//   validate - whether each engine accepts a license and, if not, the error
+//              code. Licenses from either engine are validated by both. The
+//              WASM engine verifies through the JavaScript path too, so these
+//              are JS-only checks: reported apart, not in the check count.
+//   limits   - how many licenses the demo rate limit lets through
+//   vectors  - every license_vectors.json case canonicalizes to its recorded
+//              payload and passes signature verification on both engines;
+//              every legacy (pre-canonical) case is refused, but migrates
+//   revalidation - a license validated from its compact key still validates,
+//              and keeps its features, when the scheduler rechecks it
+//
+//   node license_parity.js [--cases 50] [--seed 1] [--mode demo|production|both] [--verbose] [--json]
+//   node license_parity.js --vectors
+//
+// --mode demo runs the engines as the demo page does (demoMode, demo key).
+// --vectors runs only the vector check.
+// Exit code 0 when the engines agree and every vector and revalidation check
+// passes, 1 on any divergence or failed check (or when the WASM core can't be
+// loaded), 2 on usage errors.
+
+const { createLicenseCore } = require('./license_engine.js');
+const LicenseCanonical = require('./license_canonical.js');
+const LicenseCompact = require('./license_compact.js');
+const LicenseFeatures = require('./license_features.js');
+const LicenseSchema = require('./license_schema.js');
+const LicenseScheduler = require('./license_scheduler.js');
+const DEMO_CONFIG = require('./demo_config.js');
+const vectors = require('./license_vectors.json');
+const { parseArgs, numberOption, CliError, EXIT_CODES } = require('./license_cli.js');
+
+const USAGE = `Usage: license_parity.js [options]
+
+Runs the WASM core and the JavaScript engine on the same inputs and reports
+where they disagree.
+
+Options:
+  --cases N      random generate/validate cases per mode (default 50)
+  --seed N       seed for the random inputs (default 1)
+  --mode MODE    demo, production or both (default both)
+  --vectors      only check license_vectors.json: canonical payloads and
+                 signatures on both engines
+  --verbose      list every divergence instead of one example per kind
+  --json         machine-readable report`;
+
+const DEFAULT_CASES = 50;
+const DEFAULT_SEED = 1;
+const MODES = { demo: true, production: false };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PARITY_HWID = 'parity-hwid-0001'; // Set on both engines so bindings are comparable
+
+const USERS = ['alice', 'customer-123', 'Ünïcødé "quoted" \\ user', 'user with spaces', 'u'.repeat(200), ''];
+const FEATURES = ['basic', 'premium', 'api', 'export', 'analytics', 'enterprise'];
+const EXPIRY_DAYS = [-1, 0, 1, 7, 8, 30, 365];
+
+// mulberry32: small, seedable, good enough for picking inputs
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomInput(random) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    const features = [];
+    const count = Math.floor(random() * 6);
+    for (let i = 0; i < count; i++) {
+        features.push(random() < 0.2 ? { name: pick(FEATURES), limit: 1000 } : pick(FEATURES));
+    }
+    return { userId: pick(USERS), features, expiryDays: pick(EXPIRY_DAYS) };
+}
+
+async function createPair(demoMode) {
+    // Rate limit counts stay in memory, not in the user's ~/.licensecore
+    const options = { secretKey: DEMO_CONFIG.DEMO_KEYS.demo, demoMode, rateLimit: demoMode && { storage: 'memory' } };
+    const js = await createLicenseCore({ ...options, wasm: false });
+    const wasm = await createLicenseCore({ ...options });
+    if (!wasm.useWasm) {
+        const reason = wasm.wasmError ? wasm.wasmError.message : 'unknown error';
+        throw new CliError(`WASM core failed to load: ${reason}`, EXIT_CODES.ERROR);
+    }
+    js.setHwid(PARITY_HWID);
+    wasm.setHwid(PARITY_HWID);
+    return { js, wasm };
+}
+
+async function resetRateLimit(engine) {
+    if (engine.rateLimiter) {
+        await engine.rateLimiter.reset();
+    }
+}
+
+// { ok, value } or { ok: false, error: { code, message } } - thrown errors are
+// observations too
+async function attempt(action) {
+    try {
+        return { ok: true, value: await action() };
+    } catch (error) {
+        return { ok: false, error: { code: error.code || error.name, message: error.message } };
+    }
+}
+
+function signatureFormat(license) {
+    if (license.signature) {
+        return license.signature_alg;
+    }
+    const digest = String(license.hmac_signature || '');
+    return digest.length === 64 ? 'HMAC-SHA256' : `${digest.length}-hex legacy digest`;
+}
+
+// What a generated license looks like, field by field
+function describeLicense(json) {
+    const license = JSON.parse(json);
+    return {
+        fields: Object.keys(license).sort().join(','),
+        version: license.version,
+        user_id: license.user_id,
+        features: license.features,
+        term_days: Math.round((new Date(license.expiry) - new Date(license.issued_at)) / DAY_MS),
+        hardware: license.hardware_hash === PARITY_HWID ? 'configured HWID' : license.hardware_hash,
+        watermark: license.watermark || null,
+        signature: signatureFormat(license)
+    };
+}
+
+// The parts of a validation result both engines are expected to agree on
+function describeResult(result) {
+    if (!result.valid) {
+        return { valid: false, code: result.code || null };
+    }
+    return {
+        valid: true,
+        user_id: result.license.user_id,
+        features: result.license.features.map(LicenseFeatures.featureName),
+        inGracePeriod: !!result.inGracePeriod,
+        daysRemaining: result.daysRemaining
+    };
+}
+
+class ParityRun {
+    constructor(mode) {
+        this.mode = mode;
+        this.checks = 0;
+        this.jsOnlyChecks = 0; // Scenarios both engines run through the same JavaScript code
+        this.divergences = [];
+        this.failures = []; // Expectations that don't compare the engines (vectors, revalidation)
+    }
+
+    // Compare two observations aspect by aspect. A license one engine accepts
+    // and the other refuses is a single divergence, reported whole.
+    compare(scenario, label, js, wasm, input, { jsOnly = false } = {}) {
+        const count = () => jsOnly ? this.jsOnlyChecks++ : this.checks++;
+        if (!js.ok || !wasm.ok) {
+            count();
+            const jsError = js.ok ? null : js.error.code;
+            const wasmError = wasm.ok ? null : wasm.error.code;
+            if (jsError !== wasmError) {
+                this.record(scenario, label, 'error',
+                    js.ok ? 'no error' : js.error, wasm.ok ? 'no error' : wasm.error, input, jsOnly);
+            }
+            return;
+        }
+        if ('valid' in js.value && js.value.valid !== wasm.value.valid) {
+            count();
+            this.record(scenario, label, 'accepted', js.value, wasm.value, input, jsOnly);
+            return;
+        }
+        const aspects = new Set([...Object.keys(js.value), ...Object.keys(wasm.value)]);
+        for (const aspect of aspects) {
+            count();
+            if (JSON.stringify(js.value[aspect]) !== JSON.stringify(wasm.value[aspect])) {
+                this.record(scenario, label, aspect, js.value[aspect], wasm.value[aspect], input, jsOnly);
+            }
+        }
+    }
+
+    record(scenario, label, aspect, js, wasm, input, jsOnly = false) {
+        this.divergences.push({ mode: this.mode, scenario, case: label, aspect, js, wasm, input, jsOnly });
+    }
+
+    // validateLicenseWasm verifies through validateLicenseJS, so this compares
+    // the JavaScript engine with itself under another configuration: JS-only
+    async validateOnBoth(pair, scenario, label, licenseJson, input) {
+        const [js, wasm] = [pair.js, pair.wasm].map(engine =>
+            attempt(async () => describeResult(await engine.validateLicense(licenseJson))));
+        this.compare(scenario, label, await js, await wasm, input, { jsOnly: true });
+    }
+
+    // Same random inputs to both engines; every license issued is validated by both
+    async randomCases(pair, count, random) {
+        for (let i = 1; i <= count; i++) {
+            const input = randomInput(random);
+            const label = `random #${i}`;
+            // The rate limit has its own scenario
+            await resetRateLimit(pair.js);
+            await resetRateLimit(pair.wasm);
+
+            const issued = {};
+            for (const side of ['js', 'wasm']) {
+                issued[side] = await attempt(() =>
+                    pair[side].generateLicense(input.userId, input.features.slice(), input.expiryDays));
+            }
+            const described = {};
+            for (const side of ['js', 'wasm']) {
+                described[side] = issued[side].ok ? await attempt(() => describeLicense(issued[side].value)) : issued[side];
+            }
+            this.compare('generate', label, described.js, described.wasm, input);
+
+            for (const side of ['js', 'wasm']) {
+                if (issued[side].ok) {
+                    await this.validateOnBoth(pair, `validate ${side}-issued`, label, issued[side].value, input);
+                }
+            }
+        }
+    }
+
+    async edgeCases(pair) {
+        for (const [label, licenseJson] of await buildEdgeCases(pair)) {
+            await this.validateOnBoth(pair, 'validate edge case', label, licenseJson);
+        }
+    }
+
+    // Reference vectors: the shared canonical form must match the recorded
+    // payload, and each engine must accept the recorded signature. Legacy
+    // vectors must be refused as signatures but migrate on each engine.
+    async vectors(pair) {
+        for (const vector of vectors.cases) {
+            const label = `vector ${vector.name}`;
+            this.checks++;
+            const canonical = await attempt(() => LicenseCanonical.canonicalize(vector.license));
+            if (!canonical.ok || canonical.value !== vector.canonical) {
+                this.recordFailure('vectors', label, 'canonical', canonical.ok ? canonical.value : canonical.error);
+            }
+            for (const side of ['js', 'wasm']) {
+                this.checks++;
+                const verified = await attempt(async () => {
+                    const result = await pair[side].verifySignature(JSON.parse(vector.license));
+                    return result.valid ? true : { code: result.code, message: result.error };
+                });
+                if (!verified.ok || verified.value !== true) {
+                    this.recordFailure('vectors', label, `${side} signature`, verified.ok ? verified.value : verified.error);
+                }
+            }
+        }
+        // Pre-canonical licenses: refused as signatures, re-issued by migration
+        for (const vector of vectors.legacy) {
+            const label = `legacy ${vector.name}`;
+            for (const side of ['js', 'wasm']) {
+                this.checks += 2;
+                const engine = pair[side];
+                const refused = await attempt(async () => (await engine.verifySignature(JSON.parse(vector.license))).valid);
+                if (!refused.ok || refused.value !== false) {
+                    this.recordFailure('vectors', label, `${side} accepted as a signature`, refused.ok ? refused.value : refused.error);
+                }
+                const migrated = await attempt(async () => {
+                    const license = JSON.parse(await engine.migrateLicense(vector.license));
+                    const result = await engine.verifySignature(license);
+                    return result.valid && license.license_id === JSON.parse(vector.license).license_id &&
+                        license.migrated_from === 1 ? true : { code: result.code, message: result.error };
+                });
+                if (!migrated.ok || migrated.value !== true) {
+                    this.recordFailure('vectors', label, `${side} migration`, migrated.ok ? migrated.value : migrated.error);
+                }
+            }
+        }
+    }
+
+    // A license validated from its compact key must survive scheduler
+    // revalidation on each engine: the key's truncated HMAC only verifies as a key
+    async revalidation(pair) {
+        const key = LicenseCompact.encode(await signedLicense(pair));
+        for (const side of ['js', 'wasm']) {
+            const engine = pair[side];
+            const observed = await attempt(async () => {
+                const validated = await engine.validateLicense(key);
+                const revalidated = await new LicenseScheduler.RevalidationScheduler(engine).check();
+                return {
+                    validated: validated.valid ? true : validated.error,
+                    revalidated: revalidated && revalidated.valid ? true : revalidated && revalidated.error,
+                    premium: engine.hasFeature('premium')
+                };
+            });
+            engine.currentLicense = null;
+            for (const aspect of ['validated', 'revalidated', 'premium']) {
+                this.checks++;
+                const actual = observed.ok ? observed.value[aspect] : observed.error;
+                if (actual !== true) {
+                    this.recordFailure('revalidation', `compact key on ${side}`, aspect, actual);
+                }
+            }
+        }
+    }
+
+    recordFailure(check, label, aspect, actual) {
+        this.failures.push({ mode: this.mode, check, case: label, aspect, actual });
+    }
+
+    // Issue until the demo rate limit stops each engine
+    async limits(pair) {
+        const observe = async engine => {
+            await resetRateLimit(engine);
+            let issued = 0;
+            const max = engine.limits.maxLicensesPerHour + 2;
+            while (issued < max) {
+                const result = await attempt(() => engine.generateLicense('limit-user', ['basic'], 1));
+                if (!result.ok) {
+                    return { ok: true, value: { issued, stopped_by: result.error.message } };
+                }
+                issued++;
+            }
+            return { ok: true, value: { issued, stopped_by: null } };
+        };
+        this.compare('limits', 'demo rate limit', await observe(pair.js), await observe(pair.wasm));
+    }
+}
+
+function isoDaysFromNow(days) {
+    return new Date(Date.now() + days * DAY_MS).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Hand-made license signed in canonical form, as pretty JSON text
+async function signedLicense(pair, changes = {}, { omit = [], after } = {}) {
+    const license = {
+        user_id: 'edge-user',
+        license_id: 'lic-parity',
+        expiry: isoDaysFromNow(30),
+        issued_at: isoDaysFromNow(-1),
+        hardware_hash: PARITY_HWID,
+        features: ['basic', 'premium'],
+        version: LicenseSchema.CURRENT_VERSION,
+        ...changes
+    };
+    omit.forEach(field => { delete license[field]; });
+    await pair.js.signLicenseData(license);
+    if (after) after(license);
+    return JSON.stringify(license, null, 2);
+}
+
+// [label, license text] pairs: hand-made licenses signed in canonical form,
+// the reference vectors, a compact key, the core's own legacy output (which
+// both engines must reject) and things that aren't licenses at all
+async function buildEdgeCases(pair) {
+    const signed = (changes, options) => signedLicense(pair, changes, options);
+
+    const valid = await signed();
+    const cases = [
+        ['valid', valid],
+        ['wildcard HWID *', await signed({ hardware_hash: '*' })],
+        ['other HWID', await signed({ hardware_hash: 'some-other-machine' })],
+        ['expired', await signed({ expiry: isoDaysFromNow(-2) })],
+        ['perpetual', await signed({ expiry: '2099-12-31T23:59:59Z' })],
+        ['not yet valid', await signed({ not_before: isoDaysFromNow(2) })],
+        ['issued in the future', await signed({ issued_at: isoDaysFromNow(2) })],
+        ['version 1', await signed({ version: 1 })],
+        ['no version', await signed({}, { omit: ['version'] })],
+        ['future version', await signed({ version: LicenseSchema.CURRENT_VERSION + 1 })],
+        ['feature entitlements', await signed({ features: [{ name: 'api', limit: 100, expiry: isoDaysFromNow(10) }, 'basic'] })],
+        ['demo watermark', await signed({ demo_mode: true, watermark: '🔬 DEMO-ONLY' })],
+        ['tampered', await signed({}, { after: license => { license.user_id = 'mallory'; } })],
+        ['truncated signature', await signed({}, { after: license => { license.hmac_signature = license.hmac_signature.slice(0, 20); } })],
+        ['missing signature', await signed({}, { after: license => { delete license.hmac_signature; } })],
+        ['missing user_id', await signed({}, { omit: ['user_id'] })],
+        ['features not an array', await signed({ features: 'basic' })],
+        ['compact key', LicenseCompact.encode(valid)],
+        ['legacy core digest', legacyLicense(pair.wasm)],
+        ['not JSON', '{"user_id": '],
+        ['empty', ''],
+        ['JSON array', '[]']
+    ];
+    vectors.cases.forEach(vector => cases.push([`vector ${vector.name}`, vector.license]));
+    return cases;
+}
+
+// License signed by the WASM core itself (short legacy digest, core's HWID)
+function legacyLicense(engine) {
+    const features = new engine.wasmModule.VectorString();
+    features.push_back('basic');
+    try {
+        return engine.wasmManager.generateLicense('edge-user', features, 30);
+    } finally {
+        features.delete();
+    }
+}
+
+function formatValue(value) {
+    if (value && typeof value === 'object' && value.message) {
+        return `${value.code}: ${value.message}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Inputs as one line, long strings shortened
+function formatInput(input) {
+    return JSON.stringify(input, (key, value) =>
+        typeof value === 'string' && value.length > 40 ? `${value.slice(0, 37)}...` : value);
+}
+
+function printReport(report, verbose) {
+    const jsOnly = report.jsOnlyChecks ? ` (+${report.jsOnlyChecks} JS-only validate checks)` : '';
+    console.log(`🔍 Engine parity: ${report.checks} checks${jsOnly}, seed ${report.seed}, modes ${report.modes.join(', ')}`);
+    const vectorFailures = report.failures.filter(failure => failure.check === 'vectors');
+    if (!vectorFailures.length) {
+        console.log(`✅ All ${vectors.cases.length + vectors.legacy.length} reference vectors pass`);
+    }
+    if (!report.vectorsOnly && !report.failures.some(failure => failure.check === 'revalidation')) {
+        console.log('✅ Compact keys survive scheduler revalidation');
+    }
+    if (report.failures.length) {
+        console.log(`❌ ${report.failures.length} check(s) failed`);
+        for (const failure of report.failures) {
+            console.log(`  [${failure.mode}] ${failure.check}: ${failure.case} / ${failure.aspect}: ${formatValue(failure.actual)}`);
+        }
+    }
+    if (report.vectorsOnly) {
+        return;
+    }
+    if (!report.divergences.length) {
+        console.log('✅ WASM and JavaScript engines agree');
+        return;
+    }
+    console.log(`❌ ${report.divergences.length} divergence(s)`);
+
+    const groups = new Map();
+    for (const divergence of report.divergences) {
+        const key = `[${divergence.mode}] ${divergence.scenario}${divergence.jsOnly ? ' (JS-only)' : ''} / ${divergence.aspect}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(divergence);
+    }
+    for (const [key, list] of groups) {
+        console.log(`\n${key}: ${list.length} case(s)`);
+        for (const divergence of verbose ? list : list.slice(0, 1)) {
+            console.log(`  ${divergence.case}${divergence.input ? ` ${formatInput(divergence.input)}` : ''}`);
+            console.log(`    js:   ${formatValue(divergence.js)}`);
+            console.log(`    wasm: ${formatValue(divergence.wasm)}`);
+        }
+    }
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    try {
+        const count = numberOption(args, 'cases') ?? DEFAULT_CASES;
+        const seed = numberOption(args, 'seed') ?? DEFAULT_SEED;
+        const mode = args.mode === undefined ? 'both' : String(args.mode);
+        if (mode !== 'both' && !(mode in MODES)) {
+            throw new CliError(`Unknown --mode: ${mode}`, EXIT_CODES.USAGE);
+        }
+        const modes = mode === 'both' ? Object.keys(MODES) : [mode];
+
+        const random = seededRandom(seed);
+        const vectorsOnly = !!args.vectors;
+        const report = { seed, cases: count, modes, vectorsOnly, checks: 0, jsOnlyChecks: 0, divergences: [], failures: [] };
+        for (const name of modes) {
+            const run = new ParityRun(name);
+            const pair = await createPair(MODES[name]);
+            await run.vectors(pair);
+            if (!vectorsOnly) {
+                await run.randomCases(pair, count, random);
+                await run.edgeCases(pair);
+                if (MODES[name]) {
+                    await run.limits(pair);
+                }
+                await run.revalidation(pair);
+            }
+            report.checks += run.checks;
+            report.jsOnlyChecks += run.jsOnlyChecks;
+            report.divergences.push(...run.divergences);
+            report.failures.push(...run.failures);
+        }
+
+        if (args.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report, !!args.verbose);
+        }
+        return report.divergences.length || report.failures.length ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return error instanceof CliError ? error.exitCode : EXIT_CODES.ERROR;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { createPair, buildEdgeCases, ParityRun, main };
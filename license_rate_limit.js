@@ -0,0 +1,169 @@
+// LicenseCore++ Issuance Rate Limiter
+// A sliding-window limit on how many licenses an engine issues: at most
+// `limit` in any `window` (default 10 per hour). The issue times are stored,
+// so reloading the page or restarting the process doesn't reset the count:
+// localStorage in the browser (shared by the tabs of a site), IndexedDB in
+// workers, a file under Node (~/.licensecore/issuance.json unless `file` is given).
+//
+//   const limiter = new LicenseRateLimit.RateLimiter({ limit: 10 });
+//   await limiter.consume();   // throws RateLimitException when used up
+//   await limiter.status();
+//   // { limit: 10, used: 7, remaining: 3, window: 3600000,
+//   //   resetAt: '2026-10-19T10:42:00.000Z', retryAfter: 0 }
+//
+// resetAt is when the oldest counted license leaves the window and frees a
+// slot (null when none are counted); retryAfter is the wait in ms before the
+// next consume() can succeed.
+
+const LicenseRateLimit = (() => {
+    const isNode = typeof module !== 'undefined' && module.exports &&
+        typeof process !== 'undefined' && !!process.versions?.node;
+
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const LicenseStorage = typeof module !== 'undefined' && module.exports
+        ? require('./license_storage.js')
+        : globalThis.LicenseStorage;
+
+    const DEFAULT_KEY = 'licensecore.issuance';
+    const DEFAULT_LIMIT = 10;
+    const DEFAULT_WINDOW = 60 * 60 * 1000;
+
+    function defaultStorage() {
+        if (isNode) return 'file';
+        return typeof localStorage !== 'undefined' ? 'localStorage' : 'auto';
+    }
+
+    // "hour", "24 hours", "15 minutes", "90 seconds"
+    function describeWindow(ms) {
+        const units = [['hour', 60 * 60 * 1000], ['minute', 60 * 1000], ['second', 1000]];
+        const [unit, size] = units.find(([, size]) => ms % size === 0) || units[units.length - 1];
+        const count = Math.max(1, Math.round(ms / size));
+        return count === 1 ? unit : `${count} ${unit}s`;
+    }
+
+    // "12 min" or "40 s"
+    function describeWait(ms) {
+        return ms >= 60 * 1000 ? `${Math.ceil(ms / (60 * 1000))} min` : `${Math.max(1, Math.ceil(ms / 1000))} s`;
+    }
+
+    class RateLimiter {
+        // options: { limit (default 10), window (ms, default 1 hour),
+        //            storage: 'auto' | 'file' | 'indexedDB' | 'localStorage' | 'memory'
+        //              (default localStorage in the browser, IndexedDB in workers, a file under Node),
+        //            file, storageKey, store, label - error prefix (default 'Rate limit'),
+        //            onWarning(message) }
+        constructor(options = {}) {
+            this.limit = options.limit ?? DEFAULT_LIMIT;
+            this.window = options.window ?? DEFAULT_WINDOW;
+            if (!Number.isSafeInteger(this.limit) || this.limit < 1 || !(this.window > 0)) {
+                throw new Error('Rate limit needs limit >= 1 and a positive window');
+            }
+            this.label = options.label || 'Rate limit';
+            this.onWarning = options.onWarning || (() => {});
+            this.store = options.store || LicenseStorage.createStore(
+                { ...options, storage: options.storage || defaultStorage() },
+                { storageKey: DEFAULT_KEY, fileName: 'issuance.json' });
+            this.issued = []; // Last known issue times, used when the store fails
+            this.queue = Promise.resolve();
+        }
+
+        // One read-modify-write at a time, so concurrent issues can't both
+        // take the last slot
+        exclusive(action) {
+            const run = this.queue.then(action, action);
+            this.queue = run.catch(() => {});
+            return run;
+        }
+
+        // Issue times (ms) inside the window ending at `now`, oldest first
+        async load(now) {
+            try {
+                const text = await this.store.read();
+                const state = text ? JSON.parse(text) : { issued: [] };
+                this.issued = (Array.isArray(state.issued) ? state.issued : []).filter(Number.isFinite);
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot read rate limit state, using the last known count: ${error.message}`);
+            }
+            return this.issued.filter(time => time > now - this.window).sort((a, b) => a - b);
+        }
+
+        async save(issued) {
+            this.issued = issued;
+            try {
+                await this.store.write(JSON.stringify({ issued }));
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot store rate limit state: ${error.message}`);
+            }
+        }
+
+        describe(issued, now) {
+            const remaining = Math.max(0, this.limit - issued.length);
+            // The slot the next issue needs frees when this one leaves the window
+            const blocking = issued[issued.length - this.limit];
+            const freesAt = issued.length ? issued[0] + this.window : null;
+            return {
+                limit: this.limit,
+                used: issued.length,
+                remaining,
+                window: this.window,
+                resetAt: freesAt === null ? null : new Date(freesAt).toISOString(),
+                retryAfter: remaining > 0 ? 0 : Math.max(0, blocking + this.window - now)
+            };
+        }
+
+        async status(now = Date.now()) {
+            return await this.exclusive(async () => this.describe(await this.load(now), now));
+        }
+
+        // Take one slot; resolves to the status after it, or throws
+        // RateLimitException (details: limit, window_seconds, retry_after_seconds, reset_at)
+        async consume(now = Date.now()) {
+            return await this.exclusive(async () => {
+                const issued = await this.load(now);
+                const status = this.describe(issued, now);
+                if (!status.remaining) {
+                    throw new LicenseErrors.RateLimitException(
+                        `🚨 ${this.label}: Maximum ${this.limit} license${this.limit === 1 ? '' : 's'} ` +
+                            `per ${describeWindow(this.window)}. ` +
+                            `Next one in ${describeWait(status.retryAfter)}.`,
+                        {
+                            limit: this.limit,
+                            window_seconds: Math.round(this.window / 1000),
+                            retry_after_seconds: Math.ceil(status.retryAfter / 1000),
+                            reset_at: new Date(now + status.retryAfter).toISOString()
+                        });
+                }
+                issued.push(now);
+                await this.save(issued);
+                return this.describe(issued, now);
+            });
+        }
+
+        // Forget every counted issue
+        async reset() {
+            return await this.exclusive(async () => {
+                this.issued = [];
+                try {
+                    await this.store.clear();
+                } catch (error) {
+                    this.onWarning(`⚠️ Cannot clear rate limit state: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    return {
+        DEFAULT_LIMIT,
+        DEFAULT_WINDOW,
+        RateLimiter
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseRateLimit;
+} else {
+    globalThis.LicenseRateLimit = LicenseRateLimit;
+}
@@ -0,0 +1,252 @@
+// LicenseCore++ Revocation Lists
+// Signed list of revoked license IDs, issued by the vendor with the same keys
+// (HMAC-SHA256 or public-key) and canonical form as the licenses themselves:
+//
+//   {
+//     "type": "revocation_list",
+//     "version": 4,
+//     "issued_at": "2025-03-01T12:00:00Z",
+//     "revoked": [
+//       { "license_id": "lic-1720000000000", "reason": "refund", "revoked_at": "2025-02-28T09:00:00Z" }
+//     ],
+//     "hmac_signature": "..."
+//   }
+//
+// `version` only ever grows; a client never replaces a list with an older one.
+// The last verified list is stored (see license_storage.js) and verified again
+// when reloaded, so a restart without network keeps enforcing it.
+// `keys` below is either LicenseSigning keys or a LicenseKeyring.Keyring. A
+// keyring signs with its current key and records the `kid`, and verifies by
+// kid like a license, so lists signed before a rotation keep verifying.
+
+const LicenseRevocation = (() => {
+    const isNode = typeof module !== 'undefined' && module.exports &&
+        typeof process !== 'undefined' && !!process.versions?.node;
+
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+    const LicenseSigning = typeof module !== 'undefined' && module.exports
+        ? require('./license_signing.js')
+        : globalThis.LicenseSigning;
+    const LicenseKeyring = typeof module !== 'undefined' && module.exports
+        ? require('./license_keyring.js')
+        : globalThis.LicenseKeyring;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+    const LicenseStorage = typeof module !== 'undefined' && module.exports
+        ? require('./license_storage.js')
+        : globalThis.LicenseStorage;
+
+    const LIST_TYPE = 'revocation_list';
+    const DEFAULT_TTL = 60 * 60 * 1000; // Refetch URL lists hourly
+    const DEFAULT_KEY = 'licensecore.revocations';
+
+    // Issuing side: build and sign a list. entries: [{ license_id, reason, revoked_at }]
+    async function createList({ version, revoked = [], issuedAt = new Date() }, keys) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error('Revocation list version must be a positive integer');
+        }
+        const entries = revoked.map(entry => {
+            if (!entry.license_id) {
+                throw new Error('Revocation entry without license_id');
+            }
+            return {
+                license_id: String(entry.license_id),
+                reason: entry.reason || 'unspecified',
+                revoked_at: LicenseCanonical.formatDate(new Date(entry.revoked_at || Date.now()))
+            };
+        }).sort((a, b) => a.license_id < b.license_id ? -1 : a.license_id > b.license_id ? 1 : 0);
+
+        const list = {
+            type: LIST_TYPE,
+            version,
+            issued_at: LicenseCanonical.formatDate(new Date(issuedAt)),
+            revoked: entries
+        };
+        return keys instanceof LicenseKeyring.Keyring
+            ? await LicenseKeyring.signLicense(list, keys)
+            : await LicenseSigning.signLicense(list, keys);
+    }
+
+    // Add (or update) one entry and bump the version; returns a new signed list
+    async function revoke(list, entry, keys) {
+        const revoked = (list ? list.revoked : []).filter(item => item.license_id !== entry.license_id);
+        revoked.push(entry);
+        return await createList({ version: (list ? list.version : 0) + 1, revoked }, keys);
+    }
+
+    // Check shape and signature of a parsed list. Returns { valid: true } (with
+    // kid and status from a keyring) or a failure.
+    // options: { rejectCompromised - refuse lists signed by compromised keyring keys }
+    async function verifyList(list, keys, options = {}) {
+        if (!list || typeof list !== 'object' || list.type !== LIST_TYPE ||
+            !Number.isInteger(list.version) || !Array.isArray(list.revoked)) {
+            return failure(ERROR_CODES.MALFORMED_LICENSE, 'Not a revocation list');
+        }
+        let verification;
+        try {
+            verification = keys instanceof LicenseKeyring.Keyring
+                ? await LicenseKeyring.verifyLicense(list, keys, { rejectCompromised: options.rejectCompromised })
+                : await LicenseSigning.verifyLicense(list, keys);
+        } catch (error) {
+            return failure(ERROR_CODES.MALFORMED_LICENSE, error.message);
+        }
+        if (verification.code === ERROR_CODES.INVALID_SIGNATURE) {
+            const reason = verification.details && verification.details.kid ? ` (${verification.error})` : '';
+            return failure(ERROR_CODES.INVALID_SIGNATURE, `Invalid revocation list signature${reason}`, verification.details);
+        }
+        return verification;
+    }
+
+    async function readSource(source) {
+        if (typeof source === 'object') {
+            return source;
+        }
+        const text = String(source);
+        if (text.trim().startsWith('{')) {
+            return JSON.parse(text);
+        }
+        if (/^https?:\/\//i.test(text) || !isNode) {
+            const response = await fetch(text, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} fetching ${text}`);
+            }
+            return await response.json();
+        }
+        return JSON.parse(await require('fs').promises.readFile(text, 'utf8'));
+    }
+
+    class RevocationChecker {
+        // options: { source - list object, JSON text, file path or URL,
+        //            ttl (ms) - how long a loaded list is trusted before reloading,
+        //            keys() - signing keys or keyring used to verify the list,
+        //            rejectCompromised - refuse lists signed by compromised keyring keys,
+        //            storage: 'auto' | 'file' | 'indexedDB' | 'localStorage' | 'memory',
+        //            file, storageKey - where the last verified list is kept,
+        //            onWarning(message) }
+        constructor(options = {}) {
+            this.source = options.source || null;
+            this.ttl = options.ttl ?? DEFAULT_TTL;
+            this.keys = options.keys;
+            this.rejectCompromised = !!options.rejectCompromised;
+            this.onWarning = options.onWarning || (() => {});
+            this.store = options.store ||
+                LicenseStorage.createStore(options, { storageKey: DEFAULT_KEY, fileName: 'revocations.json' });
+            this.restored = false;
+            this.list = null;
+            this.loadedAt = 0;
+            this.index = new Map();
+        }
+
+        use(list, loadedAt) {
+            this.list = list;
+            this.loadedAt = loadedAt;
+            this.index = new Map(list.revoked.map(entry => [entry.license_id, entry]));
+        }
+
+        // Once, before the first fetch: the stored list, if it still verifies.
+        // It counts as stale, so the source is fetched right after.
+        async restore() {
+            if (this.restored) return;
+            this.restored = true;
+            let list;
+            try {
+                const text = await this.store.read();
+                if (text == null) return;
+                list = JSON.parse(text);
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot read stored revocation list: ${error.message}`);
+                return;
+            }
+            const verification = await verifyList(list, this.keys(), { rejectCompromised: this.rejectCompromised });
+            if (!verification.valid) {
+                this.onWarning(`⚠️ Stored revocation list ignored: ${verification.error}`);
+                return;
+            }
+            if (!this.list || list.version > this.list.version) {
+                this.use(list, 0);
+            }
+        }
+
+        async persist(list) {
+            try {
+                await this.store.write(JSON.stringify(list));
+            } catch (error) {
+                this.onWarning(`⚠️ Cannot store revocation list: ${error.message}`);
+            }
+        }
+
+        // Load and verify a list. Throws on a bad signature or a version older
+        // than the one already loaded (or stored).
+        async load(source = this.source) {
+            await this.restore();
+            const list = await readSource(source);
+            const verification = await verifyList(list, this.keys(), { rejectCompromised: this.rejectCompromised });
+            if (!verification.valid) {
+                throw LicenseErrors.fromResult(verification);
+            }
+            if (verification.status === LicenseKeyring.STATUS.COMPROMISED) {
+                this.onWarning(`⚠️ Revocation list version ${list.version} is signed with compromised key ${verification.kid}`);
+            }
+            if (this.list && list.version < this.list.version) {
+                throw new LicenseErrors.ValidationException(
+                    `Revocation list version ${list.version} is older than loaded version ${this.list.version}`);
+            }
+            this.source = source;
+            this.use(list, Date.now());
+            await this.persist(list);
+            return list;
+        }
+
+        // Cached list, reloaded from the source once the ttl has passed. A failed
+        // reload keeps the last good list.
+        async current() {
+            if (this.source) {
+                await this.restore();
+            }
+            if (this.source && (!this.list || Date.now() - this.loadedAt >= this.ttl)) {
+                try {
+                    await this.load();
+                } catch (error) {
+                    this.loadedAt = Date.now(); // Don't retry on every validation
+                    this.onWarning(`⚠️ Revocation list not updated: ${error.message}`);
+                }
+            }
+            return this.list;
+        }
+
+        // LICENSE_REVOKED failure for a revoked license, { valid: true } otherwise
+        async check(license) {
+            const list = await this.current();
+            const entry = list ? this.index.get(license.license_id) : null;
+            if (!entry) {
+                return { valid: true, listVersion: list ? list.version : null };
+            }
+            return failure(ERROR_CODES.LICENSE_REVOKED, `License has been revoked: ${entry.reason}`, {
+                license_id: entry.license_id,
+                reason: entry.reason,
+                revoked_at: entry.revoked_at,
+                list_version: list.version
+            });
+        }
+    }
+
+    return {
+        LIST_TYPE,
+        DEFAULT_TTL,
+        createList,
+        revoke,
+        verifyList,
+        RevocationChecker
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseRevocation;
+} else {
+    globalThis.LicenseRevocation = LicenseRevocation;
+}
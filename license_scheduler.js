@@ -0,0 +1,262 @@
+// LicenseCore++ Revalidation Scheduler
+// validateLicense() checks a license once; after that the engine answers
+// hasFeature() from currentLicense. The scheduler keeps checking it:
+//   - every `interval` (default 15 minutes),
+//   - just after each boundary where the answer changes: not_before, the
+//     `expiring` threshold, expiry, the end of the grace period and feature
+//     expiries (clock-skew allowance included),
+//   - when the page becomes visible again. Checks and ticks pause while it is
+//     hidden.
+// When a check fails (expired, revoked, clock rolled back, other hardware) the
+// license is dropped from the engine, so hasFeature() answers false from then
+// on and featureChanged fires. Each check is a validateLicense() call, so the
+// engine's validated / invalid / expiring / expired events fire as usual.
+//
+//   const scheduler = new LicenseScheduler.RevalidationScheduler(licenseCore, {
+//       onTick: remaining => { countdown.textContent = remaining.text; }
+//   });
+//   scheduler.start();          // follows whatever license validates next
+//   scheduler.timeRemaining();  // { phase, ms, until, text }
+//   scheduler.stop();
+
+const LicenseScheduler = (() => {
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const DEFAULT_INTERVAL = 15 * 60 * 1000;
+    const DEFAULT_TICK_INTERVAL = 1000;
+    const MAX_DELAY = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+
+    function time(date) {
+        const value = date == null ? NaN : new Date(date).getTime();
+        return isNaN(value) ? null : value;
+    }
+
+    // "3d 04:05:06", or "04:05:06" under a day
+    function formatDuration(ms) {
+        const seconds = Math.max(0, Math.floor(ms / 1000));
+        const days = Math.floor(seconds / 86400);
+        const clock = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+        return days ? `${days}d ${clock}` : clock;
+    }
+
+    function unref(timer) {
+        // Don't keep a Node process alive just for revalidation
+        if (timer && typeof timer.unref === 'function') {
+            timer.unref();
+        }
+        return timer;
+    }
+
+    class RevalidationScheduler {
+        // options: { interval (ms, default 15 minutes),
+        //            license - JSON text / compact key / envelope to check instead
+        //              of the engine's current license,
+        //            downgrade (default true) - drop the license from the engine
+        //              when a check fails,
+        //            onTick(remaining) - called every tickInterval (ms, default 1000)
+        //              with timeRemaining() while the page is visible }
+        constructor(engine, options = {}) {
+            this.engine = engine;
+            this.interval = options.interval ?? DEFAULT_INTERVAL;
+            this.license = options.license || null;
+            this.downgrade = options.downgrade !== false;
+            this.onTick = options.onTick || null;
+            this.tickInterval = options.tickInterval ?? DEFAULT_TICK_INTERVAL;
+            this.running = false;
+            this.paused = false;
+            this.timer = null;
+            this.ticker = null;
+            this.checking = null; // Promise of the check in progress
+            this.lastResult = null;
+            this.unsubscribe = null;
+            this.onVisibilityChange = () => this.setPaused(document.visibilityState === 'hidden');
+        }
+
+        start() {
+            if (this.running) {
+                return this;
+            }
+            this.running = true;
+            // A license validated elsewhere moves the boundaries
+            this.unsubscribe = this.engine.on('validated', () => this.schedule());
+            if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+                document.addEventListener('visibilitychange', this.onVisibilityChange);
+                this.paused = document.visibilityState === 'hidden';
+            }
+            this.schedule();
+            this.startTicking();
+            return this;
+        }
+
+        stop() {
+            this.running = false;
+            if (this.unsubscribe) {
+                this.unsubscribe();
+                this.unsubscribe = null;
+            }
+            if (typeof document !== 'undefined' && typeof document.removeEventListener === 'function') {
+                document.removeEventListener('visibilitychange', this.onVisibilityChange);
+            }
+            this.clearTimers();
+        }
+
+        // Hidden pages don't check or tick; coming back checks right away
+        setPaused(paused) {
+            if (paused === this.paused) {
+                return;
+            }
+            this.paused = paused;
+            if (paused) {
+                this.clearTimers();
+            } else if (this.running) {
+                this.startTicking();
+                this.check();
+            }
+        }
+
+        clearTimers() {
+            clearTimeout(this.timer);
+            clearInterval(this.ticker);
+            this.timer = null;
+            this.ticker = null;
+        }
+
+        startTicking() {
+            if (!this.onTick || this.paused || this.ticker) {
+                return;
+            }
+            this.tick();
+            this.ticker = unref(setInterval(() => this.tick(), this.tickInterval));
+        }
+
+        tick() {
+            if (this.onTick && this.running && !this.paused) {
+                this.onTick(this.timeRemaining());
+            }
+        }
+
+        // Revalidate now. Resolves to the validation result, or null when there
+        // is no license to check. Concurrent calls share one check. It never
+        // rejects: a check that throws (engine not ready, storage failure) is
+        // recorded in lastResult as a failure, keeps the license and is retried
+        // on the next schedule.
+        check() {
+            if (this.checking) {
+                return this.checking;
+            }
+            const active = this.engine.currentLicense;
+            // The text it validated from (a compact key stays a key), else the license itself
+            const source = active && (this.engine.currentLicenseSource || JSON.stringify(active));
+            const license = this.license || source || null;
+            if (!license) {
+                this.schedule();
+                return Promise.resolve(null);
+            }
+
+            this.checking = this.engine.validateLicense(license)
+                .then(result => {
+                    this.lastResult = result;
+                    // Leave a license validated meanwhile alone
+                    if (!result.valid && this.downgrade && this.engine.currentLicense === active) {
+                        this.engine.currentLicense = null;
+                    }
+                    return result;
+                })
+                .catch(error => {
+                    this.lastResult = LicenseErrors.failure(
+                        error.code || LicenseErrors.ERROR_CODES.VALIDATION_FAILED, error.message, error.details);
+                    return this.lastResult;
+                })
+                .finally(() => {
+                    this.checking = null;
+                    this.schedule();
+                    this.tick();
+                });
+            return this.checking;
+        }
+
+        // Next time (ms since epoch) after `now` at which a check could give a
+        // different answer, or null
+        nextBoundary(now = Date.now()) {
+            const license = this.engine.currentLicense;
+            if (!license) {
+                return null;
+            }
+            const skew = this.engine.clockSkewMs;
+            const times = [];
+            [license.not_before, license.issued_at].map(time).filter(value => value !== null)
+                .forEach(start => times.push(start - skew));
+            const expiry = time(license.expiry);
+            if (expiry !== null) {
+                times.push(expiry + skew, expiry + skew + this.engine.graceMsFor(license));
+                if (this.engine.expiringDays > 0) {
+                    times.push(expiry - this.engine.expiringDays * DAY_MS);
+                }
+            }
+            (Array.isArray(license.features) ? license.features : [])
+                .map(feature => feature && time(feature.expiry))
+                .filter(value => value !== null && value !== undefined)
+                .forEach(value => times.push(value));
+            // +1 ms: every comparison in the engine is inclusive of the boundary itself
+            const upcoming = times.filter(value => value >= now).map(value => value + 1);
+            return upcoming.length ? Math.min(...upcoming) : null;
+        }
+
+        schedule() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (!this.running || this.paused || (!this.license && !this.engine.currentLicense)) {
+                return;
+            }
+            const now = Date.now();
+            const boundary = this.nextBoundary(now);
+            const delay = Math.min(this.interval, boundary === null ? Infinity : boundary - now, MAX_DELAY);
+            this.timer = unref(setTimeout(() => {
+                this.timer = null;
+                this.check();
+            }, Math.max(0, delay)));
+        }
+
+        // Live countdown for the current license:
+        //   { phase: 'valid' | 'grace' | 'lapsed' | 'none', ms, until, text }
+        // `until` is the expiry ('valid') or the end of the grace period ('grace').
+        timeRemaining(now = Date.now()) {
+            const license = this.engine.currentLicense;
+            const expiry = license ? time(license.expiry) : null;
+            if (expiry === null) {
+                return { phase: 'none', ms: 0, until: null, text: 'No license' };
+            }
+            const skew = this.engine.clockSkewMs;
+            const graceEnd = expiry + this.engine.graceMsFor(license);
+            let phase = 'lapsed';
+            let until = expiry;
+            if (now - skew <= expiry) {
+                phase = 'valid';
+            } else if (graceEnd > expiry && now - skew <= graceEnd) {
+                phase = 'grace';
+                until = graceEnd;
+            }
+            const ms = phase === 'lapsed' ? 0 : Math.max(0, until - now);
+            const text = phase === 'lapsed' ? 'Expired' : `${formatDuration(ms)}${phase === 'grace' ? ' (grace period)' : ''}`;
+            return { phase, ms, until: new Date(until).toISOString(), text };
+        }
+    }
+
+    return {
+        DEFAULT_INTERVAL,
+        RevalidationScheduler,
+        formatDuration
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseScheduler;
+} else {
+    globalThis.LicenseScheduler = LicenseScheduler;
+}
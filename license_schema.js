@@ -0,0 +1,240 @@
+// LicenseCore++ License Schemas
+// Validation is dispatched on the license's `version`:
+//   1 - the original format. Also covers everything issued as version 1 since
+//       (feature entitlements, kid, leases...), so it stays lenient: only the
+//       identity fields, features and a signature are required. Licenses
+//       without a version are version 1.
+//   2 - current. Adds issued_at and version to the required fields and checks
+//       the type of every field the engine acts on.
+// Unknown versions are refused with UNSUPPORTED_VERSION rather than guessed at.
+//
+// migrate() turns an older license into an unsigned current one. The
+// license_id is kept, so revocation lists and activation seats still match,
+// and migrated_from / migrated_at record where it came from.
+// verifyLegacySignature() checks the signature formats version 1 licenses were
+// issued with before canonical signing. It exists for migration only: nothing
+// else accepts those signatures.
+
+const LicenseSchema = (() => {
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+    const LicenseSigning = typeof module !== 'undefined' && module.exports
+        ? require('./license_signing.js')
+        : globalThis.LicenseSigning;
+    const LicenseFeatures = typeof module !== 'undefined' && module.exports
+        ? require('./license_features.js')
+        : globalThis.LicenseFeatures;
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+
+    const CURRENT_VERSION = 2;
+
+    // Signature fields, dropped when a license is re-issued
+    const SIGNATURE_FIELDS = ['hmac_signature', 'signature', 'signature_alg', 'kid'];
+
+    function malformed(message, details) {
+        return { code: ERROR_CODES.MALFORMED_LICENSE, message, details };
+    }
+
+    function missingField(license, required) {
+        const signatureField = LicenseSigning.isAsymmetric(license.signature_alg) ? 'signature' : 'hmac_signature';
+        const field = required.concat(signatureField).find(name => !license[name]);
+        return field ? malformed(`Missing required field: ${field}`, { field }) : null;
+    }
+
+    function featureProblem(license) {
+        const problem = LicenseFeatures.findProblem(license.features);
+        return problem ? malformed(problem.message, problem.details) : null;
+    }
+
+    function isDate(value) {
+        return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    }
+
+    // Fields of the current schema and the check each must pass when present
+    const TYPED_FIELDS = {
+        user_id: value => typeof value === 'string',
+        license_id: value => typeof value === 'string',
+        hardware_hash: value => typeof value === 'string',
+        expiry: isDate,
+        issued_at: isDate,
+        not_before: isDate,
+        kid: value => typeof value === 'string',
+        product: value => typeof value === 'string',
+        activation_nonce: value => typeof value === 'string',
+        license_type: value => value === 'lease',
+        lease_id: value => typeof value === 'string',
+        offline_tolerance_seconds: value => Number.isFinite(value) && value >= 0,
+        migrated_from: value => Number.isSafeInteger(value) && value >= 1 && value < CURRENT_VERSION,
+        migrated_at: isDate
+    };
+
+    const SCHEMAS = {
+        1: {
+            findProblem(license) {
+                return missingField(license, ['user_id', 'license_id', 'expiry', 'hardware_hash', 'features'])
+                    || featureProblem(license);
+            }
+        },
+        2: {
+            findProblem(license) {
+                const missing = missingField(license,
+                    ['user_id', 'license_id', 'expiry', 'issued_at', 'hardware_hash', 'features', 'version']);
+                if (missing) {
+                    return missing;
+                }
+                const field = Object.keys(TYPED_FIELDS)
+                    .find(name => license[name] != null && !TYPED_FIELDS[name](license[name]));
+                if (field) {
+                    return malformed(`Invalid value for field: ${field}`, { field });
+                }
+                if (license.license_type === 'lease' && !license.lease_id) {
+                    return malformed('Missing required field: lease_id', { field: 'lease_id' });
+                }
+                return featureProblem(license);
+            }
+        }
+    };
+
+    function versionOf(license) {
+        return license.version === undefined ? 1 : license.version;
+    }
+
+    // Versions are integers: "2" is not version 2
+    function isSupported(version) {
+        return Number.isSafeInteger(version) && Object.prototype.hasOwnProperty.call(SCHEMAS, version);
+    }
+
+    // Problem with a parsed license under the rules of its version:
+    // null or { code, message, details }
+    function findProblem(license) {
+        const version = versionOf(license);
+        if (!isSupported(version)) {
+            return {
+                code: ERROR_CODES.UNSUPPORTED_VERSION,
+                message: `Unsupported license version: ${JSON.stringify(version)} (this build reads up to version ${CURRENT_VERSION})`,
+                details: { version, supported: Object.keys(SCHEMAS).map(Number) }
+            };
+        }
+        return SCHEMAS[version].findProblem(license);
+    }
+
+    // Unsigned copy of a (verified) older license in the current schema. Throws
+    // MalformedLicenseException if the license doesn't pass its own schema.
+    function migrate(license, now = new Date()) {
+        const problem = findProblem(license);
+        if (problem) {
+            throw new (LicenseErrors.exceptionClass(problem.code))(problem.message, problem.details);
+        }
+        const from = versionOf(license);
+        if (from === CURRENT_VERSION) {
+            throw new LicenseErrors.MalformedLicenseException(
+                `License ${license.license_id} already uses version ${CURRENT_VERSION}`, { version: from });
+        }
+
+        const migrated = { ...license };
+        SIGNATURE_FIELDS.forEach(field => { delete migrated[field]; });
+        migrated.issued_at = migrated.issued_at || LicenseCanonical.formatDate(now);
+        migrated.version = CURRENT_VERSION;
+        migrated.migrated_from = from;
+        migrated.migrated_at = LicenseCanonical.formatDate(now);
+        return migrated;
+    }
+
+    // 32-bit MurmurHash2 seeded with the length: std::hash<std::string> of the
+    // libc++ the WASM core was built with
+    function murmurHash2(bytes) {
+        const m = 0x5bd1e995;
+        let hash = bytes.length >>> 0;
+        let i = 0;
+        for (; i + 4 <= bytes.length; i += 4) {
+            let k = bytes[i] | bytes[i + 1] << 8 | bytes[i + 2] << 16 | bytes[i + 3] << 24;
+            k = Math.imul(k, m);
+            k ^= k >>> 24;
+            k = Math.imul(k, m);
+            hash = Math.imul(hash, m) ^ k;
+        }
+        const rest = bytes.length - i;
+        if (rest) {
+            if (rest === 3) hash ^= bytes[i + 2] << 16;
+            if (rest >= 2) hash ^= bytes[i + 1] << 8;
+            hash ^= bytes[i];
+            hash = Math.imul(hash, m);
+        }
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, m);
+        hash ^= hash >>> 15;
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // The unsigned JSON text the WASM core printed and digested
+    function corePayload(license) {
+        const quote = value => `"${value}"`;
+        const fields = [
+            ['user_id', quote(license.user_id)],
+            ['license_id', quote(license.license_id)],
+            ['expiry', quote(license.expiry)],
+            ['issued_at', quote(license.issued_at)],
+            ['hardware_hash', quote(license.hardware_hash)],
+            ['features', `[${license.features.map(quote).join(', ')}]`],
+            ['version', '1']
+        ];
+        return `{\n${fields.map(([name, value]) => `  "${name}": ${value}`).join(',\n')}\n}`;
+    }
+
+    // Pre-canonical signature formats, by the code that issued them. Each
+    // returns the hmac_signature a license would have under `secret`.
+    const LEGACY_FORMATS = {
+        // The demo page's JavaScript engine: HMAC over the pretty-printed license
+        'pretty-json': (unsigned, secret) => LicenseSigning.hmacSha256(JSON.stringify(unsigned, null, 2), secret),
+        // demo.js: HMAC over the compact JSON
+        'compact-json': (unsigned, secret) => LicenseSigning.hmacSha256(JSON.stringify(unsigned), secret),
+        // The WASM core: 8 hex digits of std::hash over its own JSON text plus
+        // the secret. Only the seven fields it printed, in its order.
+        'wasm-core': async (unsigned, secret) => {
+            const fields = ['user_id', 'license_id', 'expiry', 'issued_at', 'hardware_hash', 'features', 'version'];
+            if (Object.keys(unsigned).join() !== fields.join() || !unsigned.features.every(f => typeof f === 'string')) {
+                return null;
+            }
+            return murmurHash2(new TextEncoder().encode(corePayload(unsigned) + secret));
+        }
+    };
+
+    // Verify a version 1 license signed in one of the LEGACY_FORMATS with any of
+    // `secrets`. For migrate only. Returns { valid: true, alg, legacyFormat } or
+    // an INVALID_SIGNATURE failure.
+    async function verifyLegacySignature(license, secrets) {
+        if (versionOf(license) !== 1 || typeof license.hmac_signature !== 'string' || license.signature_alg) {
+            return failure(ERROR_CODES.INVALID_SIGNATURE, 'Not a legacy version 1 license');
+        }
+        const { hmac_signature: signature, ...unsigned } = license;
+        for (const secret of secrets) {
+            for (const [format, sign] of Object.entries(LEGACY_FORMATS)) {
+                if (await sign(unsigned, secret) === signature) {
+                    return { valid: true, alg: LicenseSigning.ALGORITHMS.HMAC_SHA256, legacyFormat: format };
+                }
+            }
+        }
+        return failure(ERROR_CODES.INVALID_SIGNATURE, 'Invalid license signature');
+    }
+
+    return {
+        CURRENT_VERSION,
+        LEGACY_FORMATS: Object.keys(LEGACY_FORMATS),
+        versionOf,
+        isSupported,
+        findProblem,
+        migrate,
+        verifyLegacySignature
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseSchema;
+} else {
+    globalThis.LicenseSchema = LicenseSchema;
+}
@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+// LicenseCore++ Local Activation Server
+// Stand-in for the production activation backend. Licenses are issued by the
+// same engine as the demo page (license_engine.js). A node-locked key activates
+// at most `max_machines` machines; a floating key (add-key --floating) hands out
+// at most `max_concurrent` short-lived leases at a time, which clients renew with
+// a heartbeat and release on exit.
+//
+//   node license_server.js add-key --state state.json --user ID --features a,b [--seats 3] [--days 365] [--product NAME] [--floating]
+//   node license_server.js serve   --state state.json --key keys.json [--port 8787] [--host 127.0.0.1]
+//                                  [--lease-seconds 300] [--offline-tolerance 900] [--allow-origin '*']
+//
+// Endpoints (POST, JSON bodies; OPTIONS answers CORS preflight requests):
+//   /activate    { license_key, hardware_hash }  -> { license, seats }
+//   /deactivate  { license_key, hardware_hash }  -> { released, seats }
+//   /lease       { license_key, hardware_hash }  -> { license, seats }   (floating keys)
+//   /heartbeat   { license_key, lease_id }       -> { license, seats }
+//   /release     { license_key, lease_id }       -> { released, seats }
+//   /validate    { license }                     -> validation result
+// Errors are failure objects { valid: false, error, code, details } with a
+// matching HTTP status.
+//
+// A lease is a signed license with license_type 'lease', its lease_id, an
+// `expiry` lease-seconds ahead and `offline_tolerance_seconds`. Its seat stays
+// taken until expiry plus the offline tolerance, so a client that lost the
+// server can keep working that long without the key being over-used.
+//
+// State file:
+//   { "keys": { "<license key>": { user_id, product, features, days,
+//       max_machines, activations: { "<hwid>": { activated_at, license_ids: [...] } } } } }
+//   floating keys have max_concurrent and
+//       leases: { "<lease id>": { hardware_hash, acquired_at, expires_at } } instead
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { ERROR_CODES, errors } = require('./license_engine.js');
+const { parseArgs, loadKeys, createEngine, numberOption, CliError, EXIT_CODES } = require('./license_cli.js');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_LEASE_SECONDS = 300;
+const DEFAULT_OFFLINE_TOLERANCE = 900;
+const DEFAULT_ALLOW_ORIGIN = '*';
+const MAX_BODY = 64 * 1024;
+
+const HTTP_STATUS = {
+    [ERROR_CODES.MALFORMED_LICENSE]: 400,
+    [ERROR_CODES.JSON_PARSING_ERROR]: 400,
+    [ERROR_CODES.UNSUPPORTED_VERSION]: 400,
+    [ERROR_CODES.INVALID_LICENSE_KEY]: 404,
+    [ERROR_CODES.LICENSE_EXPIRED]: 410,
+    [ERROR_CODES.ACTIVATION_LIMIT_REACHED]: 409
+};
+
+const USAGE = `Usage: license_server.js <command> [options]
+
+Commands:
+  add-key  --state FILE --user ID --features a,b [--seats N] [--days N] [--product NAME] [--floating]
+  serve    --state FILE --key FILE [--port ${DEFAULT_PORT}] [--host 127.0.0.1] [--wasm]
+           [--lease-seconds ${DEFAULT_LEASE_SECONDS}] [--offline-tolerance ${DEFAULT_OFFLINE_TOLERANCE}]
+           [--allow-origin ${DEFAULT_ALLOW_ORIGIN}]`;
+
+// JSON state file; writes go through one queue and replace the file atomically
+class ActivationState {
+    constructor(file) {
+        this.file = file;
+        this.queue = Promise.resolve();
+    }
+
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { keys: {} };
+            throw error;
+        }
+    }
+
+    // Run change(state) and save; resolves to what change() returned
+    update(change) {
+        const run = this.queue.then(async () => {
+            const state = this.read();
+            const result = await change(state);
+            const temp = `${this.file}.${process.pid}.tmp`;
+            fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+            fs.writeFileSync(temp, JSON.stringify(state, null, 2) + '\n');
+            fs.renameSync(temp, this.file);
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+function generateLicenseKey() {
+    const hex = crypto.randomBytes(10).toString('hex').toUpperCase();
+    return hex.match(/.{5}/g).join('-');
+}
+
+function seats(entry) {
+    if (entry.leases) {
+        return { used: Object.keys(entry.leases).length, max: entry.max_concurrent };
+    }
+    return { used: Object.keys(entry.activations).length, max: entry.max_machines };
+}
+
+// Drop leases whose holder has been silent past expiry plus the offline tolerance
+function pruneLeases(entry, toleranceMs, now = Date.now()) {
+    for (const [id, lease] of Object.entries(entry.leases)) {
+        if (new Date(lease.expires_at).getTime() + toleranceMs < now) {
+            delete entry.leases[id];
+        }
+    }
+}
+
+function failure(code, message, details) {
+    return errors.failure(code, message, details);
+}
+
+function findKey(state, licenseKey, floating = false) {
+    const entry = typeof licenseKey === 'string' ? state.keys[licenseKey] : null;
+    if (!entry) {
+        throw failure(ERROR_CODES.INVALID_LICENSE_KEY, 'Unknown license key');
+    }
+    if (!!entry.leases !== floating) {
+        throw failure(ERROR_CODES.INVALID_LICENSE_KEY, floating
+            ? 'Not a floating license key: use /activate'
+            : 'Floating license key: use /lease');
+    }
+    return entry;
+}
+
+function requireHwid(body) {
+    if (typeof body.hardware_hash !== 'string' || !body.hardware_hash) {
+        throw failure(ERROR_CODES.MALFORMED_LICENSE, 'Missing required field: hardware_hash', { field: 'hardware_hash' });
+    }
+    return body.hardware_hash;
+}
+
+function requireLeaseId(body) {
+    if (typeof body.lease_id !== 'string' || !body.lease_id) {
+        throw failure(ERROR_CODES.MALFORMED_LICENSE, 'Missing required field: lease_id', { field: 'lease_id' });
+    }
+    return body.lease_id;
+}
+
+// options: { state: ActivationState, engine (issuing), keys (signing keys),
+//            leaseSeconds (default 300), offlineToleranceSeconds (default 900),
+//            allowOrigin (Access-Control-Allow-Origin, default '*') }
+function createActivationServer({ state, engine, keys, leaseSeconds = DEFAULT_LEASE_SECONDS,
+    offlineToleranceSeconds = DEFAULT_OFFLINE_TOLERANCE, allowOrigin = DEFAULT_ALLOW_ORIGIN }) {
+    const toleranceMs = offlineToleranceSeconds * 1000;
+
+    // Sent with every response so the demo page can call the server from another origin
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowOrigin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    };
+
+    // Sign a lease for `id` running leaseSeconds from now and record its expiry
+    const issueLease = async (entry, id, hwid) => {
+        const expiresAt = new Date(Date.now() + leaseSeconds * 1000).toISOString();
+        const license = await engine.generateLicense(entry.user_id, entry.features, entry.days, {
+            hardwareHash: hwid,
+            product: entry.product || undefined,
+            lease: { id, expiresAt, offlineToleranceSeconds }
+        });
+        entry.leases[id] = {
+            hardware_hash: hwid,
+            acquired_at: entry.leases[id] ? entry.leases[id].acquired_at : new Date().toISOString(),
+            expires_at: expiresAt
+        };
+        return { license, seats: seats(entry) };
+    };
+
+    const routes = {
+        // Re-activating a machine that already holds a seat issues a fresh
+        // license without taking another seat
+        async '/activate'(body) {
+            const hwid = requireHwid(body);
+            return await state.update(async current => {
+                const entry = findKey(current, body.license_key);
+                const activation = entry.activations[hwid];
+                if (!activation && seats(entry).used >= entry.max_machines) {
+                    throw failure(ERROR_CODES.ACTIVATION_LIMIT_REACHED,
+                        `All ${entry.max_machines} activations of this license key are in use`, seats(entry));
+                }
+
+                const license = await engine.generateLicense(entry.user_id, entry.features, entry.days, {
+                    hardwareHash: hwid,
+                    product: entry.product || undefined
+                });
+                const licenseId = JSON.parse(license).license_id;
+                entry.activations[hwid] = {
+                    activated_at: activation ? activation.activated_at : new Date().toISOString(),
+                    license_ids: [...(activation ? activation.license_ids : []), licenseId]
+                };
+                return { license, seats: seats(entry) };
+            });
+        },
+
+        async '/deactivate'(body) {
+            const hwid = requireHwid(body);
+            return await state.update(current => {
+                const entry = findKey(current, body.license_key);
+                const released = !!entry.activations[hwid];
+                delete entry.activations[hwid];
+                return { released, seats: seats(entry) };
+            });
+        },
+
+        // A machine asking again (e.g. after a crash) gets its existing lease renewed
+        async '/lease'(body) {
+            const hwid = requireHwid(body);
+            return await state.update(async current => {
+                const entry = findKey(current, body.license_key, true);
+                pruneLeases(entry, toleranceMs);
+                const held = Object.keys(entry.leases).find(id => entry.leases[id].hardware_hash === hwid);
+                if (!held && seats(entry).used >= entry.max_concurrent) {
+                    throw failure(ERROR_CODES.ACTIVATION_LIMIT_REACHED,
+                        `All ${entry.max_concurrent} concurrent seats of this license key are in use`, seats(entry));
+                }
+                return await issueLease(entry, held || `lease-${crypto.randomBytes(8).toString('hex')}`, hwid);
+            });
+        },
+
+        async '/heartbeat'(body) {
+            const id = requireLeaseId(body);
+            return await state.update(async current => {
+                const entry = findKey(current, body.license_key, true);
+                pruneLeases(entry, toleranceMs);
+                const lease = entry.leases[id];
+                if (!lease) {
+                    throw failure(ERROR_CODES.LICENSE_EXPIRED, 'Lease has expired or was released', { lease_id: id });
+                }
+                return await issueLease(entry, id, lease.hardware_hash);
+            });
+        },
+
+        async '/release'(body) {
+            const id = requireLeaseId(body);
+            return await state.update(current => {
+                const entry = findKey(current, body.license_key, true);
+                const released = !!entry.leases[id];
+                delete entry.leases[id];
+                pruneLeases(entry, toleranceMs);
+                return { released, seats: seats(entry) };
+            });
+        },
+
+        // Signature, expiry and whether the machine still holds its seat. The
+        // hardware check is the client's job: the server has a different HWID.
+        async '/validate'(body) {
+            if (typeof body.license !== 'string') {
+                throw failure(ERROR_CODES.MALFORMED_LICENSE, 'Missing required field: license', { field: 'license' });
+            }
+            let license;
+            try {
+                license = JSON.parse(body.license);
+            } catch (error) {
+                return failure(ERROR_CODES.JSON_PARSING_ERROR, `JSON parsing error: ${error.message}`);
+            }
+
+            const validator = await createEngine({}, keys);
+            validator.setHwid(String(license && license.hardware_hash));
+            const result = await validator.validateLicense(body.license);
+            if (!result.valid) {
+                return result;
+            }
+
+            const isLease = license.license_type === 'lease';
+            const active = await state.update(current => Object.values(current.keys).some(entry => {
+                if (isLease) {
+                    if (!entry.leases) return false;
+                    pruneLeases(entry, toleranceMs);
+                    return !!entry.leases[license.lease_id];
+                }
+                const activation = entry.activations && entry.activations[license.hardware_hash];
+                return activation && activation.license_ids.includes(license.license_id);
+            }));
+            if (!active) {
+                const reason = isLease ? 'released' : 'deactivated';
+                return failure(ERROR_CODES.LICENSE_REVOKED, `License has been revoked: ${reason}`,
+                    { license_id: license.license_id, reason });
+            }
+            return { valid: true, license_id: license.license_id, daysRemaining: result.daysRemaining };
+        }
+    };
+
+    return http.createServer(async (request, response) => {
+        const send = (status, payload) => {
+            response.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(payload));
+        };
+
+        const route = routes[request.url];
+        if (!route) {
+            return send(404, failure(ERROR_CODES.VALIDATION_FAILED, `No such endpoint: ${request.url}`));
+        }
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, corsHeaders);
+            return response.end();
+        }
+        if (request.method !== 'POST') {
+            return send(405, failure(ERROR_CODES.VALIDATION_FAILED, 'Use POST'));
+        }
+
+        let text = '';
+        try {
+            for await (const chunk of request) {
+                text += chunk;
+                if (text.length > MAX_BODY) {
+                    return send(413, failure(ERROR_CODES.MALFORMED_LICENSE, 'Request body too large'));
+                }
+            }
+        } catch (error) {
+            // Client went away mid-body (aborted / ECONNRESET): nobody left to answer
+            response.destroy();
+            return;
+        }
+
+        try {
+            let body;
+            try {
+                body = JSON.parse(text || '{}');
+            } catch (error) {
+                throw failure(ERROR_CODES.JSON_PARSING_ERROR, `JSON parsing error: ${error.message}`);
+            }
+            send(200, await route(body || {}));
+        } catch (error) {
+            if (error && error.valid === false) {
+                return send(HTTP_STATUS[error.code] || 400, error);
+            }
+            send(500, failure(ERROR_CODES.VALIDATION_FAILED, error.message));
+        }
+    });
+}
+
+async function addKey(args) {
+    const requireValue = name => {
+        if (args[name] === undefined || args[name] === true) {
+            throw new CliError(`Missing required option --${name}`, EXIT_CODES.USAGE);
+        }
+        return String(args[name]);
+    };
+    const state = new ActivationState(requireValue('state'));
+    const maxMachines = args.seats === undefined ? 1 : parseInt(args.seats, 10);
+    const days = args.days === undefined ? 365 : parseInt(args.days, 10);
+    if (isNaN(maxMachines) || maxMachines < 1) {
+        throw new CliError('--seats must be a positive number', EXIT_CODES.USAGE);
+    }
+    if (isNaN(days) || (days < 1 && days !== -1)) {
+        throw new CliError('--days must be a positive number of days or -1 for perpetual', EXIT_CODES.USAGE);
+    }
+
+    const licenseKey = generateLicenseKey();
+    const entry = {
+        user_id: requireValue('user'),
+        product: args.product === undefined ? null : String(args.product),
+        features: requireValue('features').split(',').map(f => f.trim()).filter(Boolean),
+        days
+    };
+    if (args.floating) {
+        Object.assign(entry, { max_concurrent: maxMachines, leases: {} });
+    } else {
+        Object.assign(entry, { max_machines: maxMachines, activations: {} });
+    }
+    await state.update(current => {
+        current.keys[licenseKey] = entry;
+    });
+    console.log(licenseKey);
+    return EXIT_CODES.OK;
+}
+
+async function serve(args) {
+    const state = new ActivationState(String(args.state || 'activation_state.json'));
+    const keys = loadKeys(args);
+    const engine = await createEngine(args, keys);
+    const server = createActivationServer({
+        state,
+        engine,
+        keys,
+        leaseSeconds: numberOption(args, 'lease-seconds'),
+        offlineToleranceSeconds: numberOption(args, 'offline-tolerance'),
+        allowOrigin: typeof args['allow-origin'] === 'string' ? args['allow-origin'] : undefined
+    });
+    const port = args.port === undefined ? DEFAULT_PORT : parseInt(args.port, 10);
+    const host = args.host || '127.0.0.1';
+
+    await new Promise(resolve => server.listen(port, host, resolve));
+    console.log(`🔐 Activation server on http://${host}:${server.address().port} (${engine.useWasm ? 'WASM' : 'JavaScript'} engine, state: ${state.file})`);
+    return await new Promise(resolve => server.on('close', () => resolve(EXIT_CODES.OK)));
+}
+
+const COMMANDS = { 'add-key': addKey, serve };
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const command = COMMANDS[args._[0]];
+    if (args.help || !command) {
+        console.log(USAGE);
+        return args.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    try {
+        return await command(args);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return error instanceof CliError ? error.exitCode : EXIT_CODES.ERROR;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { createActivationServer, ActivationState, generateLicenseKey, main };
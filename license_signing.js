@@ -0,0 +1,204 @@
+// LicenseCore++ License Signing
+// HMAC-SHA256 (shared secret) and public-key signatures (Ed25519, ECDSA P-256)
+// over the canonical license form, all through Web Crypto.
+//
+// HMAC licenses keep the signature in `hmac_signature` and may omit
+// `signature_alg`. Public-key licenses carry `signature_alg` and `signature`;
+// since `signature_alg` is part of the signed payload it cannot be swapped.
+// Compact license keys carry an HMAC truncated to its first 80 bits; that is
+// accepted only when the caller says the license came from one.
+
+const LicenseSigning = (() => {
+    const LicenseCanonical = typeof module !== 'undefined' && module.exports
+        ? require('./license_canonical.js')
+        : globalThis.LicenseCanonical;
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const { ERROR_CODES, failure } = LicenseErrors;
+
+    const ALGORITHMS = {
+        HMAC_SHA256: 'HMAC-SHA256',
+        ED25519: 'Ed25519',
+        ECDSA_P256: 'ECDSA-P256'
+    };
+
+    // Web Crypto parameters for each public-key algorithm
+    const ASYMMETRIC = {
+        [ALGORITHMS.ED25519]: {
+            key: { name: 'Ed25519' },
+            sign: { name: 'Ed25519' }
+        },
+        [ALGORITHMS.ECDSA_P256]: {
+            key: { name: 'ECDSA', namedCurve: 'P-256' },
+            sign: { name: 'ECDSA', hash: 'SHA-256' }
+        }
+    };
+
+    // Hex length of a truncated HMAC (80 bits) as carried by compact keys
+    const TRUNCATED_HMAC_LENGTH = 20;
+
+    const encoder = new TextEncoder();
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    function fromHex(hex) {
+        if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/i.test(hex)) {
+            throw new Error('Signature is not a hex string');
+        }
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function toBase64(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    function isAsymmetric(alg) {
+        return Object.prototype.hasOwnProperty.call(ASYMMETRIC, alg);
+    }
+
+    function licenseAlgorithm(license) {
+        return license.signature_alg || ALGORITHMS.HMAC_SHA256;
+    }
+
+    async function hmacSha256(data, key) {
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(key),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        return toHex(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data)));
+    }
+
+    // Keys are exchanged as base64 DER: SPKI for public keys, PKCS#8 for private keys
+    async function importKey(alg, encodedKey, type) {
+        if (!isAsymmetric(alg)) {
+            throw new Error(`Unsupported signature algorithm: ${alg}`);
+        }
+        return await crypto.subtle.importKey(
+            type === 'private' ? 'pkcs8' : 'spki',
+            fromBase64(encodedKey),
+            ASYMMETRIC[alg].key,
+            false,
+            [type === 'private' ? 'sign' : 'verify']
+        );
+    }
+
+    async function generateKeyPair(alg = ALGORITHMS.ED25519) {
+        if (!isAsymmetric(alg)) {
+            throw new Error(`Unsupported signature algorithm: ${alg}`);
+        }
+        const pair = await crypto.subtle.generateKey(ASYMMETRIC[alg].key, true, ['sign', 'verify']);
+        return {
+            alg,
+            publicKey: toBase64(await crypto.subtle.exportKey('spki', pair.publicKey)),
+            privateKey: toBase64(await crypto.subtle.exportKey('pkcs8', pair.privateKey))
+        };
+    }
+
+    // Attach `signature_alg` and the signature to licenseData (mutates and returns it).
+    // keys: { alg, secretKey } for HMAC, { alg, privateKey } for public-key modes
+    async function signLicense(licenseData, keys) {
+        const alg = keys.alg || ALGORITHMS.HMAC_SHA256;
+        delete licenseData.hmac_signature;
+        delete licenseData.signature;
+
+        if (alg === ALGORITHMS.HMAC_SHA256) {
+            if (!keys.secretKey) {
+                throw new Error('Secret key required for HMAC-SHA256 signing');
+            }
+            delete licenseData.signature_alg;
+            licenseData.hmac_signature = await hmacSha256(LicenseCanonical.canonicalize(licenseData), keys.secretKey);
+            return licenseData;
+        }
+
+        if (!keys.privateKey) {
+            throw new Error(`Private key required for ${alg} signing`);
+        }
+        licenseData.signature_alg = alg;
+        const privateKey = await importKey(alg, keys.privateKey, 'private');
+        const payload = encoder.encode(LicenseCanonical.canonicalize(licenseData));
+        licenseData.signature = toHex(await crypto.subtle.sign(ASYMMETRIC[alg].sign, privateKey, payload));
+        return licenseData;
+    }
+
+    // Verify a parsed license. keys: { secretKey, publicKey, alg }
+    // options: { truncatedHmac - also accept an 80-bit HMAC (compact keys only) }
+    // When keys.alg names a public-key algorithm, licenses signed any other way
+    // are refused - otherwise a client holding the shared secret could forge.
+    async function verifyLicense(license, keys, options = {}) {
+        const alg = licenseAlgorithm(license);
+
+        if (isAsymmetric(keys.alg) && alg !== keys.alg) {
+            return failure(ERROR_CODES.INVALID_SIGNATURE, `Signature algorithm not accepted: ${alg}`);
+        }
+
+        if (alg === ALGORITHMS.HMAC_SHA256) {
+            if (!keys.secretKey) {
+                return failure(ERROR_CODES.CRYPTOGRAPHIC_ERROR, 'No secret key configured for HMAC-SHA256 licenses');
+            }
+            const computed = await hmacSha256(LicenseCanonical.canonicalize(license), keys.secretKey);
+            const truncated = !!options.truncatedHmac && typeof license.hmac_signature === 'string' &&
+                license.hmac_signature.length === TRUNCATED_HMAC_LENGTH &&
+                computed.startsWith(license.hmac_signature);
+            return computed === license.hmac_signature || truncated
+                ? { valid: true, alg }
+                : failure(ERROR_CODES.INVALID_SIGNATURE, 'Invalid license signature');
+        }
+
+        if (!isAsymmetric(alg)) {
+            return failure(ERROR_CODES.CRYPTOGRAPHIC_ERROR, `Unsupported signature algorithm: ${alg}`);
+        }
+        if (!keys.publicKey) {
+            return failure(ERROR_CODES.CRYPTOGRAPHIC_ERROR, `No public key configured for ${alg} licenses`);
+        }
+
+        let signature;
+        try {
+            signature = fromHex(license.signature);
+        } catch (error) {
+            return failure(ERROR_CODES.INVALID_SIGNATURE, 'Invalid license signature');
+        }
+        let ok;
+        try {
+            const publicKey = await importKey(alg, keys.publicKey, 'public');
+            const payload = encoder.encode(LicenseCanonical.canonicalize(license));
+            ok = await crypto.subtle.verify(ASYMMETRIC[alg].sign, publicKey, signature, payload);
+        } catch (error) {
+            return failure(ERROR_CODES.CRYPTOGRAPHIC_ERROR, `Cannot verify ${alg} signature: ${error.message}`);
+        }
+        return ok ? { valid: true, alg } : failure(ERROR_CODES.INVALID_SIGNATURE, 'Invalid license signature');
+    }
+
+    return {
+        ALGORITHMS,
+        TRUNCATED_HMAC_LENGTH,
+        isAsymmetric,
+        licenseAlgorithm,
+        hmacSha256,
+        generateKeyPair,
+        signLicense,
+        verifyLicense
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseSigning;
+} else {
+    globalThis.LicenseSigning = LicenseSigning;
+}
@@ -0,0 +1,114 @@
+// LicenseCore++ Persistent Storage
+// Small async key/value stores for state that must survive restarts (clock
+// marks, cached licenses): a file under Node, IndexedDB or localStorage in
+// the browser, memory as the last resort.
+//
+// Every store is { kind, read() -> text | null, write(text), clear() }.
+
+const LicenseStorage = (() => {
+    const isNode = typeof module !== 'undefined' && module.exports &&
+        typeof process !== 'undefined' && !!process.versions?.node;
+
+    function memoryStore() {
+        let value = null;
+        return {
+            kind: 'memory',
+            async read() { return value; },
+            async write(text) { value = text; },
+            async clear() { value = null; }
+        };
+    }
+
+    function fileStore(file) {
+        const fs = require('fs').promises;
+        const path = require('path');
+        return {
+            kind: 'file',
+            file,
+            async read() {
+                try {
+                    return await fs.readFile(file, 'utf8');
+                } catch (error) {
+                    if (error.code === 'ENOENT') return null;
+                    throw error;
+                }
+            },
+            async write(text) {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(file, text);
+            },
+            async clear() {
+                await fs.rm(file, { force: true });
+            }
+        };
+    }
+
+    function localStore(key) {
+        return {
+            kind: 'localStorage',
+            async read() { return localStorage.getItem(key); },
+            async write(text) { localStorage.setItem(key, text); },
+            async clear() { localStorage.removeItem(key); }
+        };
+    }
+
+    function indexedDbStore(key) {
+        let db = null;
+        const open = () => db || (db = new Promise((resolve, reject) => {
+            const request = indexedDB.open('licensecore', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('entries');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+        const run = async (mode, action) => {
+            const store = (await open()).transaction('entries', mode).objectStore('entries');
+            return await new Promise((resolve, reject) => {
+                const request = action(store);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        };
+        return {
+            kind: 'indexedDB',
+            async read() { return (await run('readonly', store => store.get(key))) ?? null; },
+            async write(text) { await run('readwrite', store => store.put(text, key)); },
+            async clear() { await run('readwrite', store => store.delete(key)); }
+        };
+    }
+
+    // options: { storage: 'auto' | 'file' | 'indexedDB' | 'localStorage' | 'memory',
+    //            file, storageKey }
+    // 'auto' picks a file under Node (~/.licensecore/<fileName> unless `file`
+    // is given), IndexedDB, then localStorage, then memory.
+    function createStore(options = {}, defaults = {}) {
+        const kind = options.storage || 'auto';
+        const key = options.storageKey || defaults.storageKey;
+        if (kind === 'memory') return memoryStore();
+        if (kind === 'file' || (kind === 'auto' && isNode)) {
+            const path = require('path');
+            return fileStore(options.file || path.join(require('os').homedir(), '.licensecore', defaults.fileName));
+        }
+        if ((kind === 'indexedDB' || kind === 'auto') && typeof indexedDB !== 'undefined') {
+            return indexedDbStore(key);
+        }
+        if ((kind === 'localStorage' || kind === 'auto') && typeof localStorage !== 'undefined') {
+            return localStore(key);
+        }
+        return memoryStore();
+    }
+
+    return {
+        createStore,
+        memoryStore,
+        fileStore,
+        localStore,
+        indexedDbStore
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseStorage;
+} else {
+    globalThis.LicenseStorage = LicenseStorage;
+}
@@ -0,0 +1,493 @@
+// LicenseCore++ Worker Engine
+// Runs LicenseCoreEngine (WASM core or JavaScript) in a Web Worker so signing,
+// validation and WASM calls stay off the main thread. Same async API as the
+// engine; every call takes an AbortSignal.
+//
+//   const engine = await LicenseWorker.createWorkerEngine({ secretKey, hwid: licenseCore.currentHwid });
+//   const license = await engine.generateLicense('alice', ['basic'], 30);
+//   const result = await engine.validateLicense(license, { signal: controller.signal });
+//   await engine.hasFeature('basic');
+//
+//   const pool = await LicenseWorker.createWorkerPool({ size: 4, secretKey });
+//   const licenses = await pool.map('generateLicense', users.map(user => [user, ['basic'], 30]));
+//
+// The issuance rate limit is enforced in the page, before generateLicense is
+// handed to a worker: by a single worker engine, or once by a pool for all its
+// workers. Workers themselves run without one.
+// This file is also the worker script: `new Worker('license_worker.js')`
+// imports the engine next to it and answers requests. Where workers are
+// unavailable (Node, CSP, file:// pages) the same protocol runs in-thread.
+//
+// Protocol (postMessage):
+//   host -> worker   { type: 'init', id, options }          -> result { engine, hwid, wasmError }
+//                    { type: 'call', id, method, args }
+//                    { type: 'cancel', id }
+//   worker -> host   { type: 'result', id, value } | { type: 'error', id, error: { name, code, message, details } }
+//                    { type: 'warning', message }          (the engine's onWarning)
+// Requests run one at a time in arrival order. A cancelled request that hasn't
+// started is skipped; one already running finishes and its result is dropped.
+// License text may be passed as an ArrayBuffer or Uint8Array; it is
+// transferred instead of copied.
+
+// Inside a worker, load the engine before anything below looks for it
+if (typeof WorkerGlobalScope !== 'undefined' && typeof importScripts === 'function' && !globalThis.LicenseEngine) {
+    importScripts(
+        'license_canonical.js', 'license_errors.js', 'license_signing.js', 'license_keyring.js',
+        'license_fingerprint.js', 'license_fingerprint_cache.js', 'license_features.js', 'license_schema.js',
+        'license_storage.js', 'license_clock_guard.js', 'license_revocation.js', 'license_activation.js',
+        'license_compact.js', 'license_envelope.js', 'license_events.js', 'license_rate_limit.js',
+        'license_engine.js'
+    );
+    try {
+        importScripts('license_core.js');
+    } catch (error) {
+        // No WASM core next to the worker: the engine runs JavaScript
+    }
+}
+
+const LicenseWorker = (() => {
+    const LicenseErrors = typeof module !== 'undefined' && module.exports
+        ? require('./license_errors.js')
+        : globalThis.LicenseErrors;
+    const LicenseEngine = typeof module !== 'undefined' && module.exports
+        ? require('./license_engine.js')
+        : globalThis.LicenseEngine;
+
+    const DEFAULT_WORKER_URL = 'license_worker.js';
+    const MAX_POOL_SIZE = 4;
+
+    // Engine methods callable over the protocol
+    const METHODS = ['generateLicense', 'validateLicense', 'hasFeature', 'getCurrentHwid',
+        'refreshHwid', 'setHwid', 'generateNewHwid'];
+
+    function workersAvailable() {
+        return typeof Worker === 'function';
+    }
+
+    function abortError() {
+        const error = new Error('License request cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function serializeError(error) {
+        return {
+            name: error.name || 'Error',
+            code: error.code || null,
+            message: error.message,
+            details: error.details || null
+        };
+    }
+
+    // LicenseException subclasses come back as themselves
+    function deserializeError(data) {
+        if (data.code && LicenseErrors.ERROR_CODES[data.code]) {
+            const Exception = LicenseErrors.exceptionClass(data.code);
+            return new Exception(data.message, data.details || {});
+        }
+        const error = new Error(data.message);
+        error.name = data.name;
+        return error;
+    }
+
+    function isBinary(value) {
+        return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+    }
+
+    // Binary arguments are UTF-8 license text
+    function fromTransferable(value) {
+        return isBinary(value) ? new TextDecoder().decode(value) : value;
+    }
+
+    function transferList(values) {
+        return values.filter(isBinary).map(value => value instanceof ArrayBuffer ? value : value.buffer);
+    }
+
+    // Engine side of the protocol, in the worker or in-thread
+    class EngineRuntime {
+        // pause: awaited before each request (in-thread, to let the page breathe)
+        constructor(post, pause = null) {
+            this.post = post;
+            this.pause = pause;
+            this.engine = null;
+            this.queue = Promise.resolve();
+            this.waiting = new Set(); // Queued or running request ids
+            this.cancelled = new Set();
+        }
+
+        receive(message) {
+            if (message.type === 'cancel') {
+                if (this.waiting.has(message.id)) {
+                    this.cancelled.add(message.id);
+                }
+            } else if (message.type === 'init') {
+                this.enqueue(message.id, () => this.init(message.options));
+            } else if (message.type === 'call') {
+                this.enqueue(message.id, () => this.call(message.method, message.args));
+            }
+        }
+
+        enqueue(id, task) {
+            this.waiting.add(id);
+            this.queue = this.queue.then(async () => {
+                if (this.pause) {
+                    await this.pause();
+                }
+                let reply = null;
+                if (!this.cancelled.has(id)) {
+                    try {
+                        reply = { type: 'result', id, value: await task() };
+                    } catch (error) {
+                        reply = { type: 'error', id, error: serializeError(error) };
+                    }
+                }
+                this.waiting.delete(id);
+                if (!this.cancelled.delete(id) && reply) {
+                    this.post(reply);
+                }
+            });
+        }
+
+        async init(options) {
+            const { hwid, ...engineOptions } = options;
+            this.engine = new LicenseEngine.LicenseCoreEngine({
+                ...engineOptions,
+                onWarning: message => this.post({ type: 'warning', message })
+            });
+            await this.engine.init(engineOptions);
+            if (hwid) {
+                this.engine.setHwid(hwid);
+            }
+            return {
+                engine: this.engine.useWasm ? 'wasm' : 'js',
+                hwid: this.engine.currentHwid,
+                wasmError: this.engine.wasmError ? this.engine.wasmError.message : null
+            };
+        }
+
+        async call(method, args) {
+            if (!this.engine) {
+                throw new LicenseErrors.NotInitializedException('Worker engine not initialized');
+            }
+            if (!METHODS.includes(method)) {
+                throw new Error(`Unknown engine method: ${method}`);
+            }
+            return await this.engine[method](...args.map(fromTransferable));
+        }
+    }
+
+    class WorkerEngine {
+        // options: LicenseCoreEngine options that survive structured cloning (a
+        //            Keyring is sent as its JSON; onWarning stays here), plus
+        //          { workerUrl (default 'license_worker.js'), inThread - skip the worker,
+        //            hwid - use this HWID instead of the worker's own (workers
+        //              can't fingerprint the page), wasm: false, wasmUrl, wasmBinary }
+        // The issuance rate limit (demoMode / rateLimit) is counted here, not in the worker.
+        constructor(options = {}) {
+            const { workerUrl = DEFAULT_WORKER_URL, inThread = false, onWarning, rateLimit, ...engineOptions } = options;
+            if (engineOptions.keyring && typeof engineOptions.keyring.toJSON === 'function') {
+                engineOptions.keyring = engineOptions.keyring.toJSON();
+            }
+            this.workerUrl = workerUrl;
+            this.inThread = inThread || !workersAvailable();
+            this.onWarning = onWarning || (() => {});
+            this.rateLimiter = LicenseEngine.createRateLimiter({ ...engineOptions, rateLimit }, this.onWarning);
+            this.engineOptions = { ...engineOptions, rateLimit: false };
+            this.worker = null;
+            this.runtime = null;
+            this.pending = new Map();
+            this.signals = new Map(); // AbortSignal -> { onAbort, ids }
+            this.nextId = 1;
+            this.engine = null; // 'wasm' or 'js' once started
+            this.currentHwid = null;
+        }
+
+        // Start the worker, or the in-thread runtime if that fails.
+        // Resolves to { engine, hwid, wasmError, inThread }.
+        async start() {
+            if (!this.inThread) {
+                try {
+                    this.worker = new Worker(this.workerUrl);
+                    this.worker.onmessage = event => this.receive(event.data);
+                    this.worker.onerror = event => this.fail(new Error(event.message || 'License worker failed'));
+                    return await this.initialize();
+                } catch (error) {
+                    this.onWarning(`⚠️ License worker unavailable, running in-thread: ${error.message}`);
+                    this.terminate();
+                    this.inThread = true;
+                }
+            }
+            // Yield to the event loop between requests so rendering and aborts get a turn
+            this.runtime = new EngineRuntime(
+                message => Promise.resolve().then(() => this.receive(message)),
+                () => new Promise(resolve => setTimeout(resolve, 0)));
+            return await this.initialize();
+        }
+
+        async initialize() {
+            const options = { ...this.engineOptions };
+            const transfer = options.wasmBinary && this.worker ? transferList([options.wasmBinary]) : [];
+            const info = await this.request({ type: 'init', options }, { transfer });
+            this.engine = info.engine;
+            this.currentHwid = info.hwid;
+            return { ...info, inThread: this.inThread };
+        }
+
+        request(message, { signal, transfer = [] } = {}) {
+            if (signal && signal.aborted) {
+                return Promise.reject(abortError());
+            }
+            const id = this.nextId++;
+            return new Promise((resolve, reject) => {
+                const settle = callback => value => {
+                    if (signal) this.unwatch(signal, id);
+                    callback(value);
+                };
+                this.pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+                if (signal) this.watch(signal, id);
+                this.send({ ...message, id }, transfer);
+            });
+        }
+
+        // One abort listener per signal, however many requests share it (batches)
+        watch(signal, id) {
+            let watched = this.signals.get(signal);
+            if (!watched) {
+                watched = {
+                    ids: new Set(),
+                    onAbort: () => {
+                        this.signals.delete(signal);
+                        watched.ids.forEach(requestId => {
+                            const entry = this.pending.get(requestId);
+                            this.pending.delete(requestId);
+                            this.send({ type: 'cancel', id: requestId });
+                            if (entry) entry.reject(abortError());
+                        });
+                    }
+                };
+                this.signals.set(signal, watched);
+                signal.addEventListener('abort', watched.onAbort, { once: true });
+            }
+            watched.ids.add(id);
+        }
+
+        unwatch(signal, id) {
+            const watched = this.signals.get(signal);
+            if (watched && watched.ids.delete(id) && !watched.ids.size) {
+                this.signals.delete(signal);
+                signal.removeEventListener('abort', watched.onAbort);
+            }
+        }
+
+        send(message, transfer = []) {
+            if (this.worker) {
+                this.worker.postMessage(message, transfer);
+            } else if (this.runtime) {
+                this.runtime.receive(message);
+            }
+        }
+
+        receive(message) {
+            if (message.type === 'warning') {
+                this.onWarning(message.message);
+                return;
+            }
+            const entry = this.pending.get(message.id);
+            if (!entry) {
+                return; // Cancelled meanwhile
+            }
+            this.pending.delete(message.id);
+            if (message.type === 'error') {
+                entry.reject(deserializeError(message.error));
+            } else {
+                entry.resolve(message.value);
+            }
+        }
+
+        // The worker died (script failed to load, uncaught error)
+        fail(error) {
+            const entries = [...this.pending.values()];
+            this.pending.clear();
+            entries.forEach(entry => entry.reject(error));
+        }
+
+        // Call an engine method; options: { signal }
+        call(method, args, { signal } = {}) {
+            return this.request({ type: 'call', method, args }, { signal, transfer: this.worker ? transferList(args) : [] });
+        }
+
+        // Issue options as for the engine, plus signal
+        async generateLicense(userId, features, expiryDays, options = {}) {
+            const { signal, ...issueOptions } = options;
+            await this.checkRateLimit();
+            return await this.call('generateLicense', [userId, features, expiryDays, issueOptions], { signal });
+        }
+
+        // Take one license from the rate limit; throws RateLimitException
+        // when the window is used up
+        async checkRateLimit() {
+            if (!this.engine) {
+                throw new LicenseErrors.NotInitializedException('Worker engine not started');
+            }
+            return this.rateLimiter ? await this.rateLimiter.consume() : null;
+        }
+
+        // license: JSON text, compact key, or UTF-8 bytes (ArrayBuffer / Uint8Array, transferred)
+        validateLicense(license, { signal } = {}) {
+            return this.call('validateLicense', [license], { signal });
+        }
+
+        hasFeature(feature, { signal } = {}) {
+            return this.call('hasFeature', [feature], { signal });
+        }
+
+        // { limit, used, remaining, window, resetAt, retryAfter }, or null without a rate limit
+        async rateLimitStatus() {
+            return this.rateLimiter ? await this.rateLimiter.status() : null;
+        }
+
+        async getCurrentHwid(options) {
+            this.currentHwid = await this.call('getCurrentHwid', [], options);
+            return this.currentHwid;
+        }
+
+        async refreshHwid(options) {
+            this.currentHwid = await this.call('refreshHwid', [], options);
+            return this.currentHwid;
+        }
+
+        async setHwid(hwid, options) {
+            this.currentHwid = await this.call('setHwid', [hwid], options);
+            return this.currentHwid;
+        }
+
+        async generateNewHwid(options) {
+            this.currentHwid = await this.call('generateNewHwid', [], options);
+            return this.currentHwid;
+        }
+
+        terminate() {
+            if (this.worker) {
+                this.worker.terminate();
+                this.worker = null;
+            }
+            this.fail(abortError());
+        }
+    }
+
+    // Several workers for batch work. Requests go to the engine with the
+    // fewest outstanding ones; every engine uses the first one's HWID.
+    // The issuance rate limit (demoMode / rateLimit) is one limiter here, shared
+    // by all workers, instead of one per worker over the same stored count.
+    class WorkerPool {
+        // options: WorkerEngine options plus { size (default: cores - 1, at most 4) }
+        constructor(options = {}) {
+            const { size, rateLimit, ...engineOptions } = options;
+            const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency || 2;
+            this.size = Math.max(1, size ?? Math.min(MAX_POOL_SIZE, cores - 1));
+            this.rateLimiter = LicenseEngine.createRateLimiter({ ...engineOptions, rateLimit }, engineOptions.onWarning);
+            this.engineOptions = { ...engineOptions, rateLimit: false };
+            this.engines = [];
+        }
+
+        async start() {
+            const { wasmBinary, ...options } = this.engineOptions;
+            // Each worker gets its own copy: transferring detaches the buffer
+            const create = extra => new WorkerEngine({
+                ...options,
+                ...extra,
+                wasmBinary: wasmBinary ? wasmBinary.slice(0) : undefined
+            });
+
+            const first = create({});
+            const info = await first.start();
+            // In-thread, more engines would only take turns on the same thread
+            const size = first.inThread ? 1 : this.size;
+            const rest = Array.from({ length: size - 1 }, () => create({ hwid: info.hwid }));
+            await Promise.all(rest.map(engine => engine.start()));
+            this.engines = [first, ...rest];
+            return { ...info, size: this.engines.length };
+        }
+
+        // The engine with the fewest outstanding requests
+        pick() {
+            if (!this.engines.length) {
+                throw new LicenseErrors.NotInitializedException('Worker pool not started');
+            }
+            return this.engines.reduce((best, engine) => engine.pending.size < best.pending.size ? engine : best);
+        }
+
+        async run(method, args, options) {
+            if (method === 'generateLicense') {
+                await this.checkRateLimit();
+            }
+            return await this.pick().call(method, args, options);
+        }
+
+        async generateLicense(userId, features, expiryDays, options = {}) {
+            await this.checkRateLimit();
+            return await this.pick().generateLicense(userId, features, expiryDays, options);
+        }
+
+        // Take one license from the pool's rate limit; throws RateLimitException
+        // when the window is used up
+        async checkRateLimit() {
+            this.pick(); // Not started: NotInitializedException, before a slot is taken
+            return this.rateLimiter ? await this.rateLimiter.consume() : null;
+        }
+
+        // { limit, used, remaining, window, resetAt, retryAfter }, or null without a rate limit
+        async rateLimitStatus() {
+            return this.rateLimiter ? await this.rateLimiter.status() : null;
+        }
+
+        validateLicense(license, options) {
+            return this.pick().validateLicense(license, options);
+        }
+
+        // Call method once per argument list, spread over the pool; results in
+        // input order. options: { signal } cancels everything not yet finished.
+        map(method, argsList, options = {}) {
+            return Promise.all(argsList.map(args => this.run(method, args, options)));
+        }
+
+        terminate() {
+            this.engines.forEach(engine => engine.terminate());
+            this.engines = [];
+        }
+    }
+
+    async function createWorkerEngine(options = {}) {
+        const engine = new WorkerEngine(options);
+        await engine.start();
+        return engine;
+    }
+
+    async function createWorkerPool(options = {}) {
+        const pool = new WorkerPool(options);
+        await pool.start();
+        return pool;
+    }
+
+    // This file running as the worker script
+    if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+        const runtime = new EngineRuntime(message => self.postMessage(message));
+        self.onmessage = event => runtime.receive(event.data);
+    }
+
+    return {
+        METHODS,
+        EngineRuntime,
+        WorkerEngine,
+        WorkerPool,
+        createWorkerEngine,
+        createWorkerPool
+    };
+})();
+
+// Export for Node and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LicenseWorker;
+} else {
+    globalThis.LicenseWorker = LicenseWorker;
+}
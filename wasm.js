@@ -17,29 +17,31 @@ if (typeof window !== 'undefined' && !window.DEMO_CONFIG) {
     };
 }
 
-class LicenseCoreDemo {
+// Demo page on top of the headless engine (license_engine.js): everything
+// here is presentation - banners, status widgets and loading the WASM script.
+class LicenseCoreDemo extends LicenseEngine.LicenseCoreEngine {
     constructor() {
         // 🔒 SECURITY: Use demo-only keys
-        this.secretKey = window.DEMO_CONFIG?.DEMO_KEYS?.demo || "demo-public-key-github-pages";
-        this.isDemoMode = true;
-        this.useWasm = true;
-        this.wasmModule = null;
-        this.wasmManager = null;
-        this.currentHwid = null;
-        this.currentLicense = null;
-        this.licenseCount = 0; // Rate limiting
-        this.sessionStart = Date.now();
+        const demoKey = window.DEMO_CONFIG?.DEMO_KEYS?.demo || "demo-public-key-github-pages";
+        const engineOptions = {
+            secretKey: demoKey,
+            keyring: { keys: [{ kid: 'demo-2024', secretKey: demoKey }] },
+            demoMode: true,
+            limits: window.DEMO_CONFIG?.LIMITS
+        };
+        super({
+            ...engineOptions,
+            hwidCache: { persist: true }, // Keep the fingerprint across reloads in this tab
+            onWarning: message => showStatus('warning', message)
+        });
+        // Same settings for the extra engines the demo starts (benchmarks)
+        this.engineOptions = engineOptions;
         
         // Show security warning
         this.showSecurityWarning();
 
         // Try to load WASM module
         this.initializeWasm();
-
-        // Fallback to JavaScript implementation
-        if (!this.useWasm) {
-            this.currentHwid = this.generateMockHwid();
-        }
     }
     
     // 🚨 Security warning for demo users
@@ -78,33 +80,6 @@ class LicenseCoreDemo {
         // Add margin to body to account for warning banner and navbar
         document.body.style.marginTop = '120px'; // 40px warning + 80px navbar
     }
-    
-    // Rate limiting for demo
-    checkRateLimit() {
-        const now = Date.now();
-        const hoursSinceStart = (now - this.sessionStart) / (1000 * 60 * 60);
-        
-        if (hoursSinceStart >= 1) {
-            // Reset counter every hour
-            this.licenseCount = 0;
-            this.sessionStart = now;
-        }
-        
-        const maxLicenses = window.DEMO_CONFIG?.LIMITS?.maxLicensesPerHour || 10;
-        if (this.licenseCount >= maxLicenses) {
-            throw new Error(`🚨 Demo limit: Maximum ${maxLicenses} licenses per hour. Please wait or see production guide.`);
-        }
-    }
-    
-    // Apply demo watermark to licenses
-    applyDemoWatermark(licenseData) {
-        if (this.isDemoMode) {
-            licenseData.demo_mode = true;
-            licenseData.watermark = window.DEMO_CONFIG?.LIMITS?.watermark || "🔬 DEMO-ONLY";
-            licenseData.warning = "This is a demo license with public keys - not for production use";
-        }
-        return licenseData;
-    }
 
     async initializeWasm() {
         // Show loading status
@@ -118,7 +93,7 @@ class LicenseCoreDemo {
             if (wasmResponse.ok && jsResponse.ok) {
                 console.log('🔧 Loading WASM module...');
 
-                // Load the WASM module correctly
+                // Load the Emscripten loader; the engine takes the factory it defines
                 const script = document.createElement('script');
                 script.src = './license_core.js';
                 
@@ -128,35 +103,37 @@ class LicenseCoreDemo {
                     document.head.appendChild(script);
                 });
                 
-                // Get the module from global scope
-                if (typeof LicenseCoreModule !== 'undefined') {
-                    this.wasmModule = await LicenseCoreModule();
-                    this.wasmManager = new this.wasmModule.LicenseCoreWasm(this.secretKey);
-
-                    this.useWasm = true;
-                    this.currentHwid = this.wasmManager.getCurrentHwid();
-
-                    console.log('✅ WASM module loaded successfully!');
-                    console.log('🔐 Using real C++ implementation with HMAC-SHA256');
-                    console.log('🎯 Hardware ID:', this.currentHwid);
-                    console.log('🛡️ Cryptographic security: Web Crypto API + HMAC-SHA256');
-
-                    // Update UI to show WASM is active
-                    this.showWasmStatus(true);
-                } else {
+                if (typeof LicenseCoreModule === 'undefined') {
                     throw new Error('LicenseCoreModule not found in global scope');
                 }
 
+                // init() falls back to JavaScript itself and emits `ready` either way
+                await this.init({
+                    moduleFactory: LicenseCoreModule,
+                    wasmBinary: await wasmResponse.arrayBuffer()
+                });
+                if (!this.useWasm) {
+                    console.log('⚠️ WASM loading failed, using JavaScript fallback:', this.wasmError.message);
+                    this.showWasmStatus(false);
+                    return;
+                }
+
+                console.log('✅ WASM module loaded successfully!');
+                console.log('🔐 Using real C++ implementation with HMAC-SHA256');
+                console.log('🎯 Hardware ID:', this.currentHwid);
+                console.log('🛡️ Cryptographic security: Web Crypto API + HMAC-SHA256');
+
+                // Update UI to show WASM is active
+                this.showWasmStatus(true);
+
             } else {
                 console.log('ℹ️ WASM files not found, using JavaScript fallback');
-                this.useWasm = false;
-                this.currentHwid = this.generateMockHwid();
+                await this.init({ wasm: false });
                 this.showWasmStatus(false);
             }
         } catch (error) {
             console.log('⚠️ WASM loading failed, using JavaScript fallback:', error.message);
-            this.useWasm = false;
-            this.currentHwid = this.generateMockHwid();
+            await this.init({ wasm: false });
             this.showWasmStatus(false);
         }
     }
@@ -219,255 +196,34 @@ class LicenseCoreDemo {
         }
     }
 
-    // WASM Implementation
-    generateMockHwidWasm() {
-        if (this.wasmManager) {
-            this.wasmManager.generateNewHwid();
-            return this.wasmManager.getCurrentHwid();
-        }
-        return this.generateMockHwid();
-    }
-
-    async generateLicenseWasm(userId, features, expiryDays) {
-        if (!this.wasmManager) {
-            throw new Error('WASM module not available');
-        }
-
-        // Convert JavaScript array to WASM vector
-        const wasmFeatures = new this.wasmModule.VectorString();
-        features.forEach(feature => wasmFeatures.push_back(feature));
-
-        const license = this.wasmManager.generateLicense(userId, wasmFeatures, expiryDays);
-
-        // Clean up WASM vector
-        wasmFeatures.delete();
-
-        return license;
-    }
-
-    async validateLicenseWasm(licenseJson) {
-        if (!this.wasmManager) {
-            throw new Error('WASM module not available');
-        }
-
-        const result = this.wasmManager.validateLicense(licenseJson);
-
-        return {
-            valid: result.valid,
-            error: result.error_message,
-            license: {
-                user_id: result.user_id,
-                features: result.features
-            },
-            message: result.valid ? "License is valid and properly signed!" : result.error_message
-        };
-    }
-
-    // JavaScript Fallback Implementation (existing code)
-    generateMockHwid() {
-        const components = [
-            this.hashString("CPU-" + navigator.userAgent),
-            this.hashString("MAC-" + Math.random().toString(36)),
-            this.hashString("VOL-" + Date.now().toString())
-        ];
-        return components.join("").substring(0, 32);
-    }
-
-    hashString(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return Math.abs(hash).toString(16);
-    }
-
-    async hmacSha256(data, key) {
-        const encoder = new TextEncoder();
-        const keyData = encoder.encode(key);
-        const dataBuffer = encoder.encode(data);
-
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        );
-
-        const signature = await crypto.subtle.sign('HMAC', cryptoKey, dataBuffer);
-        return Array.from(new Uint8Array(signature))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    formatDate(date) {
-        return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
-    }
-
-    async generateLicenseJS(userId, features, expiryDays) {
-        // Check demo rate limits
-        this.checkRateLimit();
-        
-        // Limit features in demo mode
-        if (this.isDemoMode) {
-            const maxFeatures = window.DEMO_CONFIG?.LIMITS?.maxFeaturesPerLicense || 3;
-            if (features.length > maxFeatures) {
-                features = features.slice(0, maxFeatures);
-                showStatus('warning', `🚨 Demo limit: Maximum ${maxFeatures} features allowed`);
-            }
-            
-            // Limit expiry days
-            const maxExpiry = window.DEMO_CONFIG?.LIMITS?.maxExpiryDays || 7;
-            if (expiryDays > maxExpiry) {
-                expiryDays = maxExpiry;
-                showStatus('warning', `🚨 Demo limit: Maximum ${maxExpiry} days expiry`);
-            }
-        }
-        
-        const now = new Date();
-        const expiry = expiryDays === -1 ?
-            new Date('2099-12-31T23:59:59Z') :
-            new Date(now.getTime() + expiryDays * 24 * 60 * 60 * 1000);
-
-        let licenseData = {
-            user_id: userId,
-            license_id: `lic-${Date.now()}`,
-            expiry: this.formatDate(expiry),
-            issued_at: this.formatDate(now),
-            hardware_hash: this.currentHwid,
-            features: features,
-            version: 1
-        };
-        
-        // Apply demo watermark
-        licenseData = this.applyDemoWatermark(licenseData);
-
-        const dataToSign = JSON.stringify(licenseData, null, 2);
-        const signature = await this.hmacSha256(dataToSign, this.secretKey);
-
-        licenseData.hmac_signature = signature;
-        
-        // Increment counter for rate limiting
-        if (this.isDemoMode) {
-            this.licenseCount++;
-        }
-
-        this.currentLicense = licenseData;
-        return JSON.stringify(licenseData, null, 2);
-    }
-
-    async validateLicenseJS(licenseJson) {
-        try {
-            const license = JSON.parse(licenseJson);
-
-            const required = ['user_id', 'license_id', 'expiry', 'hardware_hash', 'features', 'hmac_signature'];
-            for (const field of required) {
-                if (!license[field]) {
-                    return { valid: false, error: `Missing required field: ${field}` };
-                }
-            }
-
-            const signature = license.hmac_signature;
-            const dataWithoutSignature = { ...license };
-            delete dataWithoutSignature.hmac_signature;
-
-            const dataToVerify = JSON.stringify(dataWithoutSignature, null, 2);
-            const computedSignature = await this.hmacSha256(dataToVerify, this.secretKey);
-
-            if (signature !== computedSignature) {
-                return { valid: false, error: "Invalid license signature" };
-            }
-
-            const now = new Date();
-            const expiry = new Date(license.expiry);
-            if (now > expiry) {
-                return { valid: false, error: "License has expired" };
-            }
-
-            if (license.hardware_hash !== this.currentHwid) {
-                return { valid: false, error: "Hardware fingerprint mismatch" };
-            }
-
-            return {
-                valid: true,
-                license: license,
-                message: "License is valid and properly signed!"
-            };
-
-        } catch (error) {
-            return { valid: false, error: `JSON parsing error: ${error.message}` };
-        }
-    }
-
-    // Unified API (automatically chooses WASM or JS)
-    generateNewHwid() {
-        if (this.useWasm) {
-            this.currentHwid = this.generateMockHwidWasm();
-        } else {
-            this.currentHwid = this.generateMockHwid();
-        }
-        return this.currentHwid;
-    }
-
-    async generateLicense(userId, features, expiryDays) {
-        if (this.useWasm) {
-            return await this.generateLicenseWasm(userId, features, expiryDays);
-        } else {
-            return await this.generateLicenseJS(userId, features, expiryDays);
-        }
-    }
-
-    async validateLicense(licenseJson) {
-        if (this.useWasm) {
-            return await this.validateLicenseWasm(licenseJson);
-        } else {
-            return await this.validateLicenseJS(licenseJson);
-        }
-    }
-
-    hasFeature(feature) {
-        if (!this.currentLicense) return false;
-        if (this.useWasm) {
-            // For WASM, we need to check the last validation result
-            return this.currentLicense.features && this.currentLicense.features.includes(feature);
-        } else {
-            return this.currentLicense.features.includes(feature);
-        }
-    }
-
     // Performance comparison
-    async performanceTest() {
-        if (!this.useWasm) {
-            console.log('⚠️ WASM not available for performance testing');
-            return;
-        }
-
+    // Benchmark both engines (see license_benchmark.js). It runs on its own
+    // engines, so the demo's license and rate limit are left alone.
+    async performanceTest(onProgress) {
         console.log('🏁 Performance Test: WASM vs JavaScript');
 
-        const iterations = 100;
-        const testFeatures = ['basic', 'premium', 'api'];
-
-        // Test JavaScript implementation
-        console.time('JavaScript Implementation');
-        for (let i = 0; i < iterations; i++) {
-            await this.generateLicenseJS(`user-${i}`, testFeatures, 365);
-        }
-        console.timeEnd('JavaScript Implementation');
-
-        // Test WASM implementation
-        console.time('WASM Implementation');
-        for (let i = 0; i < iterations; i++) {
-            await this.generateLicenseWasm(`user-${i}`, testFeatures, 365);
-        }
-        console.timeEnd('WASM Implementation');
+        const report = await LicenseBenchmark.run({
+            engineOptions: this.engineOptions,
+            wasmOptions: { moduleFactory: globalThis.LicenseCoreModule, wasmUrl: './license_core.wasm' },
+            engines: this.useWasm ? ['js', 'wasm'] : ['js'],
+            onProgress
+        });
+        console.table(report.results);
+        return report;
     }
 }
 
 // Initialize demo with hybrid support
 const licenseCore = new LicenseCoreDemo();
 
+// Keep re-checking the validated license and count down to its expiry
+const licenseScheduler = new LicenseScheduler.RevalidationScheduler(licenseCore, {
+    onTick: updateTimeRemaining
+}).start();
+
+// Locks [data-requires-feature] elements until the license grants them
+let featureGate = null;
+
 // UI Functions (same as before)
 function updateHwidDisplay() {
     document.getElementById('currentHwid').textContent = licenseCore.currentHwid || 'Loading...';
@@ -505,6 +261,7 @@ async function generateLicense() {
 
         document.getElementById('licenseOutput').textContent = license;
         document.getElementById('copyBtn').disabled = false;
+        document.getElementById('compactBtn').disabled = false;
         document.getElementById('validateBtn').disabled = false;
 
         showStatus('success', licenseCore.useWasm ?
@@ -513,6 +270,25 @@ async function generateLicense() {
     } catch (error) {
         showStatus('error', `❌ Error generating license: ${error.message}`);
     }
+    updateRateLimitStatus();
+}
+
+// "3 of 10 licenses left" under the generator; the count survives reloads.
+// Called without awaiting, so it handles its own failures.
+async function updateRateLimitStatus() {
+    try {
+        const status = await licenseCore.rateLimitStatus();
+        const element = document.getElementById('rateLimitStatus');
+        if (!status || !element) {
+            return;
+        }
+        const nextSlot = status.resetAt ? new Date(status.resetAt).toLocaleTimeString() : null;
+        element.textContent = status.remaining > 0 ?
+            `🎟️ ${status.remaining} of ${status.limit} licenses left${nextSlot ? ` - another frees up at ${nextSlot}` : ''}` :
+            `⏳ Limit reached - next license at ${new Date(Date.now() + status.retryAfter).toLocaleTimeString()}`;
+    } catch (error) {
+        console.warn(`⚠️ Cannot read the issuance rate limit: ${error.message}`);
+    }
 }
 
 function copyLicense() {
@@ -522,6 +298,35 @@ function copyLicense() {
     });
 }
 
+// JSON license the shown key was made from. A key expands with its HMAC cut
+// to 80 bits, which only verifies as a key, so switching back restores this.
+let compactSource = null;
+
+// Switch the output between the JSON license and its human-typable key;
+// validation accepts either
+function toggleLicenseFormat() {
+    const output = document.getElementById('licenseOutput');
+    const text = output.textContent.trim();
+    try {
+        if (LicenseCompact.isCompactKey(text)) {
+            if (compactSource && compactSource.key === text) {
+                output.textContent = compactSource.json;
+                showStatus('info', '📄 Showing the JSON license');
+            } else {
+                output.textContent = licenseCore.fromCompactKey(text);
+                showStatus('info', '📄 Showing the decoded key - its shortened signature only validates as the key itself');
+            }
+        } else {
+            const key = licenseCore.toCompactKey(text);
+            compactSource = { key, json: text };
+            output.textContent = key;
+            showStatus('info', '🔢 Showing the compact key - type it in groups, typos are caught per group');
+        }
+    } catch (error) {
+        showStatus('error', `❌ ${error.message}`);
+    }
+}
+
 async function validateLicense() {
     const licenseText = document.getElementById('licenseOutput').textContent;
 
@@ -544,7 +349,8 @@ async function validateLicense() {
             resultDiv.innerHTML = `
                 <div class="status success">
                     ✅ ${result.message} (${implementation})
-                    <br><small>User: ${result.license.user_id} | Features: ${Array.isArray(result.license.features) ? result.license.features.join(', ') : 'N/A'}</small>
+                    <br><small>User: ${result.license.user_id} | Features: ${Array.isArray(result.license.features) ? result.license.features.map(LicenseFeatures.describe).join(', ') : 'N/A'}${result.signing_key?.kid ? ` | Key: ${result.signing_key.kid}` : ''}</small>
+                    <br><small>⏳ Time remaining: <span id="licenseTimeRemaining">${licenseScheduler.timeRemaining().text}</span></small>
                 </div>
             `;
         } else {
@@ -559,6 +365,14 @@ async function validateLicense() {
     }
 }
 
+// Countdown under a valid result; the scheduler drops the license once it lapses
+function updateTimeRemaining(remaining) {
+    const element = document.getElementById('licenseTimeRemaining');
+    if (element) {
+        element.textContent = remaining.phase === 'none' ? '⛔ License lapsed - features locked' : remaining.text;
+    }
+}
+
 function showStatus(type, message) {
     const resultDiv = document.getElementById('validationResult');
     resultDiv.innerHTML = `<div class="status ${type}">${message}</div>`;
@@ -574,15 +388,49 @@ function showStatus(type, message) {
 
 // Performance test function
 async function runPerformanceTest() {
-    if (licenseCore.useWasm) {
-        showStatus('info', '🏁 Running performance test...');
-        await licenseCore.performanceTest();
-        showStatus('success', '✅ Performance test completed - check console for results');
-    } else {
-        showStatus('info', 'ℹ️ Performance test requires WASM module');
+    showStatus('info', '🏁 Running performance test...');
+    try {
+        const report = await licenseCore.performanceTest(({ engine, operation, done, total }) => {
+            showStatus('info', `🏁 ${engine === 'wasm' ? 'WASM' : 'JavaScript'} ${operation}: ${done}/${total}`);
+        });
+        showBenchmarkReport(report);
+        showStatus('success', '✅ Performance test completed');
+    } catch (error) {
+        showStatus('error', `❌ Performance test failed: ${error.message}`);
     }
 }
 
+// Benchmark report as a table under the demo scenarios
+function showBenchmarkReport(report) {
+    let container = document.getElementById('benchmarkReport');
+    if (!container) {
+        const scenarios = document.querySelector('.demo-scenarios');
+        if (!scenarios) {
+            return;
+        }
+        container = document.createElement('div');
+        container.id = 'benchmarkReport';
+        container.className = 'benchmark-report';
+        scenarios.appendChild(container);
+    }
+
+    const header = LicenseBenchmark.COLUMNS.map(column => `<th>${column}</th>`).join('');
+    const rows = LicenseBenchmark.tableRows(report)
+        .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+        .join('');
+    const skipped = report.skipped
+        .map(skip => `<p>ℹ️ ${skip.engine === 'wasm' ? 'WASM' : 'JavaScript'} skipped: ${skip.reason}</p>`)
+        .join('');
+    container.innerHTML = `
+        <table>
+            <caption>${report.iterations} iterations after ${report.warmup} warm-up</caption>
+            <thead><tr>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${skipped}
+    `;
+}
+
 // Advanced demo features
 function simulateHardwareChange() {
     generateNewHwid();
@@ -598,23 +446,13 @@ function simulateExpiredLicense() {
             const license = JSON.parse(licenseText);
             license.expiry = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
-            // Re-sign with appropriate method
-            if (licenseCore.useWasm) {
-                // For WASM, just modify and show - signature will be invalid
-                document.getElementById('licenseOutput').textContent = JSON.stringify(license, null, 2);
-                showStatus('info', '⏰ License set to expired (WASM) - try validating now!');
-            } else {
-                // For JS, re-sign properly
-                const dataWithoutSignature = { ...license };
-                delete dataWithoutSignature.hmac_signature;
-
-                licenseCore.hmacSha256(JSON.stringify(dataWithoutSignature, null, 2), licenseCore.secretKey)
-                    .then(signature => {
-                        license.hmac_signature = signature;
-                        document.getElementById('licenseOutput').textContent = JSON.stringify(license, null, 2);
-                        showStatus('info', '⏰ License set to expired (JavaScript) - try validating now!');
-                    });
-            }
+            // Both engines verify the canonical form, so a JS re-sign works for either
+            licenseCore.signLicenseData(license)
+                .then(() => {
+                    document.getElementById('licenseOutput').textContent = JSON.stringify(license, null, 2);
+                    showStatus('info', `⏰ License set to expired (${licenseCore.useWasm ? 'WASM' : 'JavaScript'}) - try validating now!`);
+                })
+                .catch(error => showStatus('error', `Could not re-sign expired license: ${error.message}`));
         } catch (error) {
             showStatus('error', 'Could not simulate expired license');
         }
@@ -651,6 +489,9 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     });
 
+    featureGate = LicenseGating.createFeatureGate(licenseCore).start();
+    updateRateLimitStatus();
+
     // Purchase button handlers - ADD HERE
     setTimeout(() => {
         const pricingButtons = document.querySelectorAll('.btn-pricing');
@@ -742,17 +583,15 @@ document.addEventListener('DOMContentLoaded', function () {
         outputSection.appendChild(demoScenarios);
     }
 
-    // Add performance test button if WASM is available
+    // Add performance test button (WASM is benchmarked too once it has loaded)
     setTimeout(() => {
-        if (licenseCore.useWasm) {
-            const scenarioButtons = document.querySelector('.scenario-buttons');
-            if (scenarioButtons) {
-                const perfButton = document.createElement('button');
-                perfButton.className = 'btn-scenario';
-                perfButton.textContent = '🏁 Performance Test';
-                perfButton.onclick = runPerformanceTest;
-                scenarioButtons.appendChild(perfButton);
-            }
+        const scenarioButtons = document.querySelector('.scenario-buttons');
+        if (scenarioButtons) {
+            const perfButton = document.createElement('button');
+            perfButton.className = 'btn-scenario';
+            perfButton.textContent = '🏁 Performance Test';
+            perfButton.onclick = runPerformanceTest;
+            scenarioButtons.appendChild(perfButton);
         }
     }, 500);
 });
@@ -795,6 +634,66 @@ scenarioStyles.textContent = `
         background: #5a6268;
         transform: translateY(-1px);
     }
+
+    .benchmark-report {
+        margin-top: 1rem;
+        overflow-x: auto;
+        font-size: 0.85rem;
+    }
+
+    .benchmark-report table {
+        width: 100%;
+        border-collapse: collapse;
+    }
+
+    .benchmark-report caption {
+        text-align: left;
+        color: #6c757d;
+        margin-bottom: 0.5rem;
+    }
+
+    .benchmark-report th,
+    .benchmark-report td {
+        padding: 0.35rem 0.5rem;
+        border-bottom: 1px solid #e1e5e9;
+        text-align: right;
+        white-space: nowrap;
+    }
+
+    .benchmark-report th:nth-child(-n+2),
+    .benchmark-report td:nth-child(-n+2) {
+        text-align: left;
+    }
+
+    .rate-limit-status {
+        display: block;
+        margin-top: 0.75rem;
+        color: #6c757d;
+    }
+
+    .gated-preview {
+        margin-top: 1.5rem;
+        padding-top: 1rem;
+        border-top: 1px solid #e1e5e9;
+    }
+
+    .gated-preview p {
+        color: #6c757d;
+        font-size: 0.9rem;
+    }
+
+    [data-feature-locked][aria-disabled="true"] {
+        opacity: 0.5;
+        cursor: not-allowed;
+    }
+
+    .feature-upsell {
+        padding: 0.5rem 1rem;
+        border: 1px dashed #ffc107;
+        border-radius: 5px;
+        background: #fff8e1;
+        font-size: 0.9rem;
+    }
 `;
 document.head.appendChild(scenarioStyles);
 